@@ -0,0 +1,71 @@
+// Upload throughput ceiling: legacy 1 ms setInterval pump vs adaptive sender
+// Usage: node bench/upload.js [durationMs]
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const kleur = require('kleur');
+const ndt7 = require('../lib/ndt7');
+const { startMockNdt7Server } = require('../lib/ndt7-mock-server');
+
+const duration = parseInt(process.argv[2], 10) || 5000;
+
+// The upload loop performSpeedTest used before the ndt7 module existed
+function legacyUpload(url) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, ndt7.SUBPROTOCOL);
+    const uploadData = crypto.randomBytes(16384);
+    let startTime = null;
+    let totalBytes = 0;
+    let uploadInterval = null;
+
+    ws.on('open', () => {
+      startTime = Date.now();
+      uploadInterval = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (Date.now() - startTime >= duration) {
+          clearInterval(uploadInterval);
+          ws.close();
+          return;
+        }
+        if (ws.bufferedAmount < 1024 * 1024) {
+          ws.send(uploadData);
+          totalBytes += uploadData.length;
+        }
+      }, 1);
+    });
+
+    ws.on('close', () => {
+      clearInterval(uploadInterval);
+      const elapsed = (Date.now() - startTime) / 1000;
+      resolve((totalBytes * 8) / (elapsed * 1000000));
+    });
+
+    ws.on('error', () => {
+      clearInterval(uploadInterval);
+      resolve(0);
+    });
+  });
+}
+
+async function run() {
+  const server = await startMockNdt7Server({ duration: duration + 5000 });
+  try {
+    console.log(kleur.cyan(`Upload benchmark against local ndt7 server (${duration / 1000}s per run)`));
+
+    const legacy = await legacyUpload(server.uploadUrl);
+    console.log(`${kleur.yellow('legacy  ')} ${legacy.toFixed(2)} Mbps (16 KiB every 1 ms)`);
+
+    const adaptive = await ndt7.upload(server.uploadUrl, { duration });
+    console.log(`${kleur.green('adaptive')} ${adaptive.mbps.toFixed(2)} Mbps (server), ${adaptive.clientMbps.toFixed(2)} Mbps (client)`);
+
+    if (legacy > 0) {
+      console.log(kleur.gray(`speedup: ${(adaptive.mbps / legacy).toFixed(1)}x`));
+    }
+  } finally {
+    await server.close();
+  }
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,976 @@
+// Command-line interface
+// Config, prompts, scheduling, history and the status server around a
+// DeSpeedClient. Started by index.js when run directly.
+const readline = require("readline");
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { watchFile, unwatchFile } = require('fs');
+const kleur = require('kleur');
+const banner = require('./banner');
+const { defaults: configDefaults, loadConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { createHistory, dayKey, summarize: summarizeHistory } = require('./lib/history');
+const { RECORD_COLUMNS, SUMMARY_COLUMNS, toRow, toCsv, summarizeDays } = require('./lib/export');
+const { createMetrics } = require('./lib/metrics');
+const { startStatusServer } = require('./lib/status-server');
+const { createScheduler } = require('./lib/scheduler');
+const { DeSpeedClient, TokenError } = require('./lib/client');
+const { createTokenStore, formatDuration } = require('./lib/tokens');
+const { createAlertRules, sendWebhook } = require('./lib/alerts');
+const validate = require('./lib/validate');
+const {
+  parseCoordinates,
+  clientIpFromConnectionInfo,
+  createLocationProvider
+} = require('./lib/location');
+
+// Configuration, overwritten by initConfig from config file and flags
+const config = {
+  ...configDefaults,
+  proxy: {
+    ...configDefaults.proxy,
+    enabled: false,
+    type: "http"
+  }
+};
+
+// Leveled console/file logger, configured in initConfig
+const logger = createLogger();
+
+let client = null;
+let tokenStore = null;
+let alertRules = null;
+let locationProvider = null;
+let history = null;
+
+// Exposed on /metrics when the status server is enabled
+const metrics = createMetrics();
+const metric = {
+  downloadMbps: metrics.gauge('download_mbps', 'Last measured download speed in Mbps'),
+  uploadMbps: metrics.gauge('upload_mbps', 'Last measured upload speed in Mbps'),
+  latencyMs: metrics.gauge('latency_ms', 'Last minimum RTT in milliseconds'),
+  jitterMs: metrics.gauge('jitter_ms', 'Last RTT jitter in milliseconds'),
+  testDuration: metrics.gauge('test_duration_seconds', 'Duration of the last ndt7 subtest'),
+  lastRun: metrics.gauge('last_run_timestamp_seconds', 'Start time of the last run'),
+  nextRun: metrics.gauge('next_run_timestamp_seconds', 'Scheduled start of the next cycle'),
+  runs: metrics.counter('runs_total', 'Runs by validation status'),
+  failures: metrics.counter('failures_total', 'Failures by stage (locate, download, upload, report)'),
+  reportResponses: metrics.counter('report_responses_total', 'Report responses by HTTP status code'),
+  alerts: metrics.counter('alerts_total', 'Alerts and recoveries by rule')
+};
+
+// Served on /status
+const status = {
+  startedAt: new Date().toISOString(),
+  cycleRunning: false,
+  lastRun: null,
+  nextRun: null
+};
+
+const FAMILY_LABELS = { ipv4: 'IPv4', ipv6: 'IPv6' };
+
+// Validation outcomes since start, and why runs were not submitted
+const runStats = {
+  [validate.COMPLETE]: 0,
+  [validate.PARTIAL]: 0,
+  [validate.FAILED]: 0,
+  skipReasons: {}
+};
+
+// Read tokens from file
+function loadTokensFromFile() {
+  try {
+    const { total } = tokenStore.load();
+    tokenStore.tokens().forEach(token => logger.addSecret(token));
+    logger.success(`Loaded ${total} tokens from ${config.tokenFile}`);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`${config.tokenFile} file not found`);
+    } else {
+      logger.error(`Error reading token file: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+// Re-read the token file on SIGHUP or change, keeping the current tokens
+// if it cannot be read
+function reloadTokens(trigger) {
+  try {
+    const { total, added, removed } = tokenStore.load();
+    added.forEach(entry => logger.addSecret(entry.token));
+    logger.success(`Reloaded ${total} tokens from ${config.tokenFile} after ${trigger} (${added.length} new, ${removed} removed)`);
+  } catch (error) {
+    logger.error(`Could not reload ${config.tokenFile}, keeping current tokens: ${error.message}`);
+    return;
+  }
+  logTokenExpiry();
+  warnExpiringTokens();
+}
+
+// Log when each token expires
+function logTokenExpiry() {
+  tokenStore.list().forEach((entry, index) => {
+    if (!entry.expiresAt) {
+      logger.info(`Token ${index + 1} has no expiry`);
+    } else if (entry.expiresAt.getTime() > Date.now()) {
+      const remaining = formatDuration(entry.expiresAt.getTime() - Date.now());
+      logger.info(`Token ${index + 1} expires ${entry.expiresAt.toLocaleString()} (in ${remaining})`);
+    }
+  });
+}
+
+// Warn once per configured lead time as tokens approach expiry
+function warnExpiringTokens() {
+  for (const { account, entry, remaining } of tokenStore.dueWarnings()) {
+    if (remaining <= 0) {
+      logger.warning(`Token ${account} expired ${entry.expiresAt.toLocaleString()}, replace it in ${config.tokenFile}`);
+    } else {
+      logger.warning(`Token ${account} expires in ${formatDuration(remaining)} (${entry.expiresAt.toLocaleString()})`);
+    }
+  }
+}
+
+// Set proxy URL and type
+function applyProxyUrl(proxyUrl) {
+  if (proxyUrl.startsWith('http://') || proxyUrl.startsWith('https://')) {
+    config.proxy.type = 'http';
+    config.proxy.url = proxyUrl;
+  } else if (proxyUrl.startsWith('socks4://')) {
+    config.proxy.type = 'socks4';
+    config.proxy.url = proxyUrl;
+  } else if (proxyUrl.startsWith('socks5://')) {
+    config.proxy.type = 'socks5';
+    config.proxy.url = proxyUrl;
+  } else {
+    config.proxy.type = 'http';
+    config.proxy.url = `http://${proxyUrl}`;
+  }
+}
+
+// Read proxy from file
+async function loadProxyFromFile() {
+  if (!config.proxy.file) {
+    return null;
+  }
+
+  try {
+    const proxyContent = await fs.readFile(config.proxy.file, 'utf8');
+    const proxyUrl = proxyContent.trim();
+    
+    if (!proxyUrl) {
+      return null;
+    }
+
+    applyProxyUrl(proxyUrl);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading proxy file: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// "10s, 4 streams"
+function describeTest(streams, duration) {
+  return `${duration / 1000}s, ${streams} ${streams === 1 ? 'stream' : 'streams'}`;
+}
+
+// Client for the configured endpoints, its progress logged and counted
+function createClient() {
+  const instance = new DeSpeedClient({
+    baseUrl: config.baseUrl,
+    locateUrl: config.locateUrl,
+    timeouts: config.timeouts,
+    retry: config.retry,
+    ndt7: config.ndt7,
+    proxy: config.proxy.enabled ? config.proxy : null
+  });
+
+  instance.on('proxy', ({ status, type, attempt, retries, error }) => {
+    if (status === 'connected') {
+      logger.success(`Proxy connection established (${type})`);
+    } else if (status === 'unreachable') {
+      logger.warning(`Proxy check failed, attempt ${attempt}/${retries}`);
+    } else if (status === 'invalid') {
+      logger.error(`Failed to create proxy agent: ${error.message}`);
+    } else {
+      logger.error(`Proxy error (${attempt}/${retries}): ${error.message}`);
+    }
+  });
+  instance.on('locating', ({ family }) => {
+    logger.network('Starting network speed measurement...');
+    logger.info(`Locating speed test server${family ? ` over ${FAMILY_LABELS[family]}` : ''}...`);
+  });
+  instance.on('located', ({ candidates }) => {
+    logger.info(`Found ${candidates.length} candidate servers`);
+    logger.debug(`Candidates: ${candidates.map(candidate => candidate.machine).join(', ')}`);
+  });
+  instance.on('downloading', ({ server, streams, duration }) => {
+    logger.success(`Selected server: ${server.machine}`);
+    logger.network(`Starting download test (${describeTest(streams, duration)})...`);
+  });
+  instance.on('download', (download) => {
+    metric.testDuration.set({ test: 'download' }, download.elapsed / 1000);
+    logger.speed(`Download: ${download.mbps.toFixed(2)} Mbps${download.streams > 1 ? ` over ${download.streams} streams` : ''}`);
+    logger.speed(`Download ${formatLineQuality(download)}`);
+  });
+  instance.on('uploading', ({ streams, duration }) => {
+    logger.network(`Starting upload test (${describeTest(streams, duration)})...`);
+  });
+  instance.on('upload', (upload) => {
+    metric.testDuration.set({ test: 'upload' }, upload.elapsed / 1000);
+    logger.speed(`Upload: ${upload.mbps.toFixed(2)} Mbps${upload.streams > 1 ? ` over ${upload.streams} streams` : ''}`);
+    logger.speed(`Upload ${formatLineQuality(upload)}`);
+  });
+  instance.on('failover', ({ server, error }) => {
+    logger.warning(`${server.machine}: ${error}, trying next server...`);
+  });
+  instance.on('reporting', () => {
+    logger.info('Submitting test results...');
+  });
+  instance.on('retry', ({ endpoint, attempt, attempts, delay, error }) => {
+    logger.warning(`${error.message}, retrying ${endpoint} in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${attempts})`);
+  });
+  instance.on('response', ({ endpoint, status }) => {
+    if (endpoint === 'points') {
+      metric.reportResponses.inc({ code: status });
+    }
+  });
+  instance.on('failure', ({ stage }) => {
+    metric.failures.inc({ stage });
+  });
+
+  return instance;
+}
+
+// Read this machine's coordinates from file
+async function loadLocationFromFile() {
+  if (!config.location.file) {
+    return false;
+  }
+
+  try {
+    const content = await fs.readFile(config.location.file, 'utf8');
+    const line = content.split('\n')
+      .map(entry => entry.trim())
+      .find(entry => entry && !entry.startsWith('#'));
+
+    if (!line) {
+      return false;
+    }
+
+    const coordinates = parseCoordinates(line);
+    if (!coordinates) {
+      throw new Error(`Invalid coordinates "${line}", expected "latitude,longitude"`);
+    }
+
+    config.location.latitude = coordinates.latitude;
+    config.location.longitude = coordinates.longitude;
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading location file: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+// Check whether the GeoIP database is present
+async function geoipDatabaseExists() {
+  if (!config.location.geoipDatabase) {
+    return false;
+  }
+  try {
+    await fs.access(config.location.geoipDatabase);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Ask for settings that were neither configured nor given as flags
+async function promptMissingSettings(explicit) {
+  const askProxy = !config.proxy.enabled;
+  const askInterval = !explicit.has('checkInterval') && !explicit.has('cron');
+  if (!askProxy && !askInterval) {
+    return;
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+
+  if (askProxy) {
+    const useProxy = (await question(kleur.cyan('Use proxy? (y/n): '))).toLowerCase() === 'y';
+    if (useProxy) {
+      config.proxy.enabled = true;
+      applyProxyUrl(await question(kleur.cyan('Enter proxy URL (e.g., http://user:pass@ip:port or socks5://ip:port): ')));
+    }
+  }
+
+  if (askInterval) {
+    const interval = await question(kleur.cyan('Enter check interval (minutes, default 1): '));
+    config.checkInterval = (parseInt(interval) || 1) * 60000;
+  }
+
+  rl.close();
+}
+
+// Initialize configuration
+async function initConfig(settings, explicit) {
+  logger.info('Starting configuration setup...');
+
+  Object.assign(config, settings, {
+    proxy: { ...settings.proxy, enabled: false, type: 'http' }
+  });
+  kleur.enabled = config.logging.color;
+  logger.configure({
+    level: config.logging.level,
+    format: config.logging.format,
+    file: config.logging.file,
+    maxSize: config.logging.maxSize,
+    maxFiles: config.logging.maxFiles
+  });
+
+  if (config.mode === 'measure-only') {
+    tokenStore = null;
+    logger.info('Measure-only mode: no tokens needed, nothing will be reported');
+  } else {
+    tokenStore = createTokenStore({ file: config.tokenFile, warnings: config.tokenWarnings });
+    const tokensLoaded = loadTokensFromFile();
+    if (!tokensLoaded) {
+      throw new Error(`Failed to load tokens from ${config.tokenFile}`);
+    }
+    logTokenExpiry();
+    warnExpiringTokens();
+    if (config.mode === 'dry-run') {
+      logger.info('Dry-run mode: results will be printed, not reported');
+    }
+  }
+
+  if (config.proxy.url) {
+    applyProxyUrl(config.proxy.url);
+    config.proxy.enabled = true;
+    logger.success('Using configured proxy');
+  } else if (await loadProxyFromFile()) {
+    logger.success(`Loaded proxy configuration from ${config.proxy.file}`);
+    config.proxy.enabled = true;
+  }
+
+  const interactive = !config.nonInteractive && process.stdin.isTTY;
+  if (interactive) {
+    await promptMissingSettings(explicit);
+  }
+
+  if (config.location.latitude !== null) {
+    logger.success(`Using configured location: ${config.location.latitude}, ${config.location.longitude}`);
+  } else if (await loadLocationFromFile()) {
+    logger.success(`Loaded location from ${config.location.file}: ${config.location.latitude}, ${config.location.longitude}`);
+  } else if (await geoipDatabaseExists()) {
+    logger.success(`Using GeoIP database ${config.location.geoipDatabase} for test location`);
+  } else {
+    config.location.geoipDatabase = null;
+    logger.warning('No location configured and no GeoIP database found, results will not be reported');
+  }
+  locationProvider = createLocationProvider(config.location);
+  client = createClient();
+  if (config.ipFamily !== 'auto') {
+    logger.info(`Address family: ${config.ipFamily === 'both' ? 'IPv4 and IPv6, one test each' : FAMILY_LABELS[config.ipFamily]}`);
+    if (config.proxy.enabled) {
+      logger.warning('The proxy connects to the test servers itself; runs it makes over the other address family will fail');
+    }
+  }
+
+  alertRules = createAlertRules(config.alerts.rules, { cooldown: config.alerts.cooldown });
+  if (alertRules.rules.length > 0) {
+    logger.info(`${alertRules.rules.length} alert rules, ${config.alerts.webhook ? 'posting to webhook' : 'no webhook set, logging only'}`);
+  }
+
+  logger.success('Configuration completed!');
+  const safeConfig = {...config, tokens: `${tokenStore ? tokenStore.list().length : 0} tokens loaded`};
+  if (config.logging.format === 'json') {
+    logger.info('Current settings', { settings: safeConfig });
+  } else {
+    logger.info('Current settings:');
+    console.log(kleur.gray(logger.redact(JSON.stringify(safeConfig, null, 2))));
+  }
+}
+
+// Log a failed API call together with whatever the server answered
+function logRequestError(message, error) {
+  logger.error(`${message}: ${error.message}`);
+  if (error.body !== undefined && error.body !== null) {
+    const body = typeof error.body === 'string' ? error.body : JSON.stringify(error.body);
+    logger.error(`Server response${error.status ? ` (HTTP ${error.status})` : ''}: ${body}`);
+  }
+}
+
+// Check the token, logging why it was refused. Tokens that are unusable
+// (rather than unverifiable, e.g. API down) are not checked again.
+async function validateToken(token) {
+  try {
+    return await client.validateToken(token);
+  } catch (error) {
+    logRequestError('Token validation failed', error);
+    if (error instanceof TokenError) {
+      tokenStore.markInvalid(token, error.message);
+    }
+    return false;
+  }
+}
+
+// Format latency, jitter and retransmissions of one ndt7 subtest
+function formatLineQuality(result) {
+  const ms = (value) => (value === null ? 'n/a' : `${value.toFixed(2)} ms`);
+  const retrans = result.retransmissionRate === null
+    ? 'n/a'
+    : `${(result.retransmissionRate * 100).toFixed(2)}%`;
+  return `latency ${ms(result.minRtt)}, RTT ${ms(result.rtt)}, jitter ${ms(result.jitter)}, retransmissions ${retrans}`;
+}
+
+// Wait, returning early if the signal fires
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done);
+  });
+}
+
+// Perform speed test; a failed measurement reports zero speeds
+async function performSpeedTest(sessionId, family, signal) {
+  try {
+    return await client.performSpeedTest({ sessionId, family, signal });
+  } catch (error) {
+    logRequestError('Speed test error', error);
+    return { downloadSpeed: 0, uploadSpeed: 0, server: null, serverIp: null, family: null, quality: null };
+  }
+}
+
+async function reportResults(token, downloadSpeed, uploadSpeed, location) {
+  try {
+    const data = await client.reportResults(token, downloadSpeed, uploadSpeed, location);
+    logger.success('Results submitted successfully');
+    return data;
+  } catch (error) {
+    logRequestError('Error submitting results', error);
+    return null;
+  }
+}
+
+// Print the report a dry run would have sent
+function showDryRunReport(payload) {
+  const request = `POST ${config.baseUrl}/v1/api/points`;
+  if (config.logging.format === 'json') {
+    logger.info(`Dry run, not sending ${request}`, { payload });
+  } else {
+    logger.info(`Dry run, not sending ${request} with body:`);
+    console.log(JSON.stringify(payload, null, 2));
+  }
+}
+
+// Display account information
+async function displayAccountInfo(token) {
+  try {
+    logger.info('\n=== Account Information ===');
+
+    const profile = await client.getProfile(token);
+    logger.info(`Username: ${profile.data.username || "Not set"}`);
+    logger.info(`Email: ${profile.data.email || "Not set"}`);
+
+    logger.info('=== ==================== ===\n');
+  } catch (error) {
+    logRequestError('Failed to get account information', error);
+  }
+}
+
+// Evaluate the alert rules against a run, then log and post what changed
+async function checkAlerts(record) {
+  const sends = [];
+  for (const event of alertRules.observe(record)) {
+    if (event.suppressed) {
+      logger.info(`Alert ${event.rule} matched again within the cooldown, not sending: ${event.message}`);
+      continue;
+    }
+
+    metric.alerts.inc({ rule: event.rule, status: event.status });
+    if (event.status === 'firing') {
+      logger.warning(`Alert ${event.rule}: ${event.message}`);
+    } else {
+      logger.success(`Recovered ${event.rule}: ${event.message}`);
+    }
+    if (config.alerts.webhook) {
+      sends.push(sendWebhook(config.alerts.webhook, event, { timeout: config.timeouts.http })
+        .catch(error => logger.error(`Could not post alert ${event.rule}: ${error.message}`)));
+    }
+  }
+  await Promise.all(sends);
+}
+
+// Publish a run to /status and /metrics, append it to the local history and
+// check it against the alert rules
+async function recordRun(record) {
+  const labels = {
+    account: record.account === null ? 'none' : record.account,
+    family: record.family || 'unknown'
+  };
+  status.lastRun = record;
+  metric.runs.inc({ status: record.status });
+  metric.lastRun.set({}, Date.parse(record.time) / 1000);
+  metric.downloadMbps.set(labels, record.downloadMbps);
+  metric.uploadMbps.set(labels, record.uploadMbps);
+  metric.latencyMs.set(labels, record.latencyMs);
+  metric.jitterMs.set(labels, record.jitterMs);
+
+  if (history) {
+    try {
+      history.append(record);
+    } catch (error) {
+      logger.warning(`Could not write history: ${error.message}`);
+    }
+  }
+  await checkAlerts(record);
+}
+
+// Print recent runs and daily/weekly statistics
+function showHistory(options) {
+  if (!history) {
+    logger.error('History is disabled (history.file is null)');
+    return;
+  }
+
+  const records = history.read({ since: Date.now() - options.days * 86400000 });
+  const fmt = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+  console.log(kleur.cyan(`\n=== Last ${Math.min(options.limit, records.length)} runs (${history.file}) ===`));
+  for (const record of records.slice(-options.limit)) {
+    const status = record.status === validate.COMPLETE ? kleur.green(record.status) : kleur.yellow(record.status);
+    console.log([
+      new Date(record.time).toLocaleString(),
+      record.account === null ? '-' : `#${record.account}`,
+      record.server || '-',
+      record.family ? FAMILY_LABELS[record.family] : '-',
+      `↓ ${fmt(record.downloadMbps)}`,
+      `↑ ${fmt(record.uploadMbps)} Mbps`,
+      `${fmt(record.latencyMs)} ms`,
+      status,
+      record.report
+    ].join('  '));
+  }
+
+  for (const period of ['day', 'week']) {
+    console.log(kleur.cyan(`\n=== Per ${period}, last ${options.days} days (complete runs, p10 / median / p90) ===`));
+    for (const row of summarizeHistory(records, period)) {
+      const dist = (d, digits) => `${fmt(d.p10, digits)} / ${fmt(d.median, digits)} / ${fmt(d.p90, digits)}`;
+      console.log([
+        row.period,
+        `${row.complete}/${row.runs} runs`,
+        `↓ ${dist(row.download)} Mbps`,
+        `↑ ${dist(row.upload)} Mbps`,
+        `latency ${dist(row.latency, 1)} ms`
+      ].join('  '));
+    }
+  }
+}
+
+// Write the runs from `from` to `to` (whole local days) as CSV and JSON,
+// together with a per-day summary
+async function exportHistory(options, settings) {
+  if (!history) {
+    logger.error('History is disabled (history.file is null), nothing to export');
+    return false;
+  }
+
+  const to = options.to || dayKey(new Date());
+  let from = options.from;
+  if (!from) {
+    const start = new Date(`${to}T00:00:00`);
+    start.setDate(start.getDate() - 30);
+    from = dayKey(start);
+  }
+  if (from > to) {
+    logger.error(`--from ${from} is after --to ${to}`);
+    return false;
+  }
+  const until = new Date(`${to}T00:00:00`);
+  until.setDate(until.getDate() + 1);
+
+  const records = history.read({ since: Date.parse(`${from}T00:00:00`), until: until.getTime() });
+  const rows = records.map(toRow);
+  const contract = { download: settings.contractDownload, upload: settings.contractUpload };
+  const summary = summarizeDays(records, contract);
+
+  const base = path.join(settings.dir, `despeed-${from}_${to}`);
+  await fs.mkdir(settings.dir, { recursive: true });
+  await fs.writeFile(`${base}.csv`, toCsv(rows, RECORD_COLUMNS.map(([column]) => column)));
+  await fs.writeFile(`${base}-daily.csv`, toCsv([...summary.days, summary.total], SUMMARY_COLUMNS));
+  await fs.writeFile(`${base}.json`, `${JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    from,
+    to,
+    contract,
+    summary,
+    records: rows
+  }, null, 2)}\n`);
+
+  logger.success(`Exported ${rows.length} runs from ${from} to ${to}:`);
+  for (const suffix of ['.csv', '-daily.csv', '.json']) {
+    logger.info(`  ${base}${suffix}`);
+  }
+  const { total } = summary;
+  const fmt = (value, unit) => (value === null ? '-' : `${value}${unit}`);
+  logger.info(`${total.complete}/${total.runs} complete runs, average ↓ ${fmt(total.avg_download_mbps, ' Mbps')} ↑ ${fmt(total.avg_upload_mbps, ' Mbps')}, latency ${fmt(total.avg_latency_ms, ' ms')}`);
+  if (contract.download !== null) {
+    logger.info(`${fmt(total.pct_below_contract_download, '%')} of complete runs below the contracted ${contract.download} Mbps download`);
+  }
+  if (contract.upload !== null) {
+    logger.info(`${fmt(total.pct_below_contract_upload, '%')} of complete runs below the contracted ${contract.upload} Mbps upload`);
+  }
+  return true;
+}
+
+// Process single account; `token` is null in measure-only mode, where the
+// run is measured and recorded but nothing is sent to DeSpeed
+async function processAccount(token, accountIndex, signal) {
+  const account = token ? accountIndex + 1 : null;
+  logger.setContext({ account });
+
+  try {
+    logger.info(token ? `\n=== Processing Account ${account} ===` : '\n=== Measuring (measure-only) ===');
+    logger.time(`Time: ${new Date().toLocaleString()}`);
+
+    if (token) {
+      const refused = tokenStore.invalidReason(token);
+      if (refused) {
+        logger.warning(`Token ${account} was refused earlier (${refused}), skipping until it is replaced in ${config.tokenFile}`);
+        return false;
+      }
+
+      const isValid = await validateToken(token);
+      if (!isValid) {
+        logger.error(`Token ${account} is invalid or expired`);
+        return false;
+      }
+      logger.success(`Token ${account} validation successful`);
+
+      await displayAccountInfo(token);
+    }
+
+    // One run per address family, each with its own session and record
+    let ok = true;
+    for (const family of measuredFamilies()) {
+      if (signal.aborted) break;
+      ok = await measureAndReport(token, account, family, signal) && ok;
+    }
+    return ok;
+  } catch (error) {
+    logger.error(`Error processing ${token ? `account ${account}` : 'measurement'}: ${error.message}`);
+    return false;
+  } finally {
+    logger.clearContext();
+  }
+}
+
+// Address families to measure each cycle; null leaves the choice to the OS
+function measuredFamilies() {
+  if (config.ipFamily === 'both') return ['ipv4', 'ipv6'];
+  return [config.ipFamily === 'auto' ? null : config.ipFamily];
+}
+
+// Measure once over `family`, record the run and report it unless `token`
+// is null
+async function measureAndReport(token, account, family, signal) {
+  // The ndt7 client_session_id doubles as the correlation id for this run
+  const sessionId = crypto.randomUUID();
+  logger.setContext({ session: sessionId, account });
+  const startedAt = new Date();
+  let record = null;
+
+  try {
+    logger.network(`Starting speed test${family ? ` over ${FAMILY_LABELS[family]}` : ''}...`);
+    const { downloadSpeed, uploadSpeed, server, serverIp, family: measuredFamily, download, upload } = await performSpeedTest(sessionId, family, signal);
+    if (server) {
+      logger.network(`Measured against: ${server} (${serverIp || 'address unknown'})`);
+    }
+    logger.speed(`Final Download speed: ${downloadSpeed.toFixed(2)} Mbps`);
+    logger.speed(`Final Upload speed: ${uploadSpeed.toFixed(2)} Mbps`);
+    if (download && upload) {
+      logger.speed(`Final Download ${formatLineQuality(download)}`);
+      logger.speed(`Final Upload ${formatLineQuality(upload)}`);
+    }
+
+    const validation = validate.classifyRun({ download, upload }, {
+      ...config.validation,
+      expectedDuration: config.ndt7.duration
+    });
+    runStats[validation.status]++;
+    record = {
+      time: startedAt.toISOString(),
+      endTime: null,
+      session: sessionId,
+      account,
+      server,
+      serverIp,
+      family: measuredFamily || family,
+      downloadMbps: downloadSpeed,
+      uploadMbps: uploadSpeed,
+      latencyMs: download ? download.minRtt : null,
+      jitterMs: download ? download.jitter : null,
+      retransmissionRate: download ? download.retransmissionRate : null,
+      uploadLatencyMs: upload ? upload.minRtt : null,
+      uploadJitterMs: upload ? upload.jitter : null,
+      // ndt7 measurement ids, to find the runs in M-Lab's published data
+      downloadUuid: download ? download.uuid : null,
+      uploadUuid: upload ? upload.uuid : null,
+      // Test settings the speeds were measured with
+      streams: config.ndt7.streams,
+      testDurationMs: config.ndt7.duration,
+      status: validation.status,
+      reasons: validation.reasons.map(reason => reason.code),
+      report: token ? 'skipped' : 'measure-only'
+    };
+    if (validation.status !== validate.COMPLETE) {
+      logger.warning(`Measurement ${validation.status}${token ? ', not submitting results' : ''}`);
+      for (const reason of validation.reasons) {
+        logger.warning(`Skip reason: ${reason.message}`);
+        runStats.skipReasons[reason.code] = (runStats.skipReasons[reason.code] || 0) + 1;
+      }
+      return false;
+    }
+    logger.success('Measurement complete');
+    if (!token) {
+      return true;
+    }
+
+    const clientIp = clientIpFromConnectionInfo(download.connectionInfo);
+    const location = locationProvider.resolve(clientIp);
+    if (!location) {
+      logger.warning(`No trustworthy location for ${clientIp || 'unknown client IP'}, not submitting results`);
+      runStats.skipReasons['no-location'] = (runStats.skipReasons['no-location'] || 0) + 1;
+      record.reasons.push('no-location');
+      return false;
+    }
+    logger.location(`Speed test location: ${location.latitude}, ${location.longitude} (${location.source})`);
+
+    if (config.mode === 'dry-run') {
+      record.report = 'dry-run';
+      showDryRunReport(client.buildReport(downloadSpeed, uploadSpeed, location));
+      return true;
+    }
+    
+    const result = await reportResults(token, downloadSpeed, uploadSpeed, location);
+    
+    if (result && result.success) {
+      record.report = 'submitted';
+      logger.success('Speed test completed and results reported');
+      return true;
+    } else {
+      record.report = 'failed';
+      logger.error('Failed to report results');
+      return false;
+    }
+    
+  } catch (error) {
+    if (record) {
+      record.report = 'error';
+    }
+    logger.error(`Error processing ${token ? `account ${account}` : 'measurement'}${family ? ` over ${FAMILY_LABELS[family]}` : ''}: ${error.message}`);
+    return false;
+  } finally {
+    if (record) {
+      record.endTime = new Date().toISOString();
+      await recordRun(record);
+    }
+  }
+}
+
+// Document served on /status
+function getStatus() {
+  return {
+    ...status,
+    runs: runStats,
+    alerts: alertRules ? alertRules.active() : [],
+    tokens: (tokenStore ? tokenStore.list() : []).map((entry, index) => ({
+      account: index + 1,
+      expiresAt: entry.expiresAt ? entry.expiresAt.toISOString() : null,
+      invalid: entry.invalid
+    }))
+  };
+}
+
+// One test cycle over all accounts; stops early once `signal` fires
+async function main(signal) {
+  status.cycleRunning = true;
+  status.nextRun = null;
+  try {
+    logger.info('\n=== Starting multi-account speed test ===');
+    if (tokenStore) {
+      warnExpiringTokens();
+    }
+
+    // A reload during the cycle takes effect from the next one. Measure-only
+    // cycles run a single tokenless measurement.
+    const tokens = tokenStore ? tokenStore.tokens() : [null];
+    for (let i = 0; i < tokens.length && !signal.aborted; i++) {
+      await processAccount(tokens[i], i, signal);
+      
+      // Add delay between accounts
+      if (i < tokens.length - 1 && !signal.aborted) {
+        logger.info(`Waiting ${Math.round(config.accountDelay / 1000)} seconds before processing next account...`);
+        await sleep(config.accountDelay, signal);
+      }
+    }
+    
+  } catch (error) {
+    logger.error(`Error during main loop: ${error.message}`);
+  } finally {
+    status.cycleRunning = false;
+    logger.info(`Runs so far: ${runStats.complete} complete, ${runStats.partial} partial, ${runStats.failed} failed`);
+    const skipped = Object.entries(runStats.skipReasons);
+    if (skipped.length > 0) {
+      logger.info(`Skip reasons: ${skipped.map(([code, count]) => `${code} ${count}`).join(', ')}`);
+    }
+    logger.info('=== Speed test cycle complete ===\n');
+  }
+}
+
+let scheduler = null;
+let statusServer = null;
+let shuttingDown = false;
+
+// Stop scheduling, abort the cycle in flight and wait for it to wind down
+// (sockets closed, history written), then exit. A second signal forces it.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warning(`Received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.warning(`\nReceived ${signal}, shutting down...`);
+
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, config.shutdownTimeout);
+  forceExit.unref();
+
+  if (tokenStore) {
+    unwatchFile(config.tokenFile);
+  }
+  try {
+    if (scheduler) {
+      await scheduler.stop();
+    }
+    if (statusServer) {
+      await new Promise(resolve => statusServer.close(resolve));
+    }
+  } catch (error) {
+    logger.error(`Error during shutdown: ${error.message}`);
+  }
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
+
+// Parse `argv` and run the requested command
+function run(argv) {
+  let loaded;
+  try {
+    loaded = loadConfig(argv);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  if (loaded.help) {
+    console.log(loaded.usage);
+    process.exit(0);
+  }
+  if (loaded.settings.history.file) {
+    history = createHistory(loaded.settings.history.file);
+  }
+  if (loaded.command === 'history') {
+    kleur.enabled = loaded.settings.logging.color;
+    showHistory(loaded.options);
+    process.exit(0);
+  }
+  if (loaded.command === 'export') {
+    kleur.enabled = loaded.settings.logging.color;
+    exportHistory(loaded.options, loaded.settings.export)
+      .then(ok => process.exit(ok ? 0 : 1))
+      .catch(error => {
+        logger.error(`Export failed: ${error.message}`);
+        process.exit(1);
+      });
+    return;
+  }
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  if (!loaded.settings.nonInteractive && process.stdout.isTTY) {
+    console.clear();
+  }
+  console.log(kleur.cyan(banner));
+  logger.info('Initializing Multi-Account DeSpeed Test Client...');
+  if (loaded.source) {
+    logger.info(`Using config file ${loaded.source}`);
+  }
+  initConfig(loaded.settings, loaded.explicit).then(async () => {
+    if (config.status.enabled) {
+      statusServer = await startStatusServer({
+        host: config.status.host,
+        port: config.status.port,
+        getStatus,
+        metrics
+      });
+      logger.success(`Status server listening on http://${config.status.host}:${config.status.port}`);
+    }
+
+    scheduler = createScheduler({
+      task: main,
+      interval: config.checkInterval,
+      cron: config.cron,
+      onSchedule: (nextTime) => {
+        status.nextRun = nextTime.toISOString();
+        metric.nextRun.set({}, nextTime.getTime() / 1000);
+        logger.time(`Next test cycle scheduled for: ${nextTime.toLocaleString()}`);
+      },
+      onError: (error) => logger.error(`Error during main loop: ${error.message}`)
+    });
+    logger.info(config.cron
+      ? `Schedule: cron "${config.cron}"`
+      : `Interval: ${Math.round(config.checkInterval / 1000 / 60)} minutes`);
+    scheduler.start();
+
+    if (tokenStore) {
+      process.on('SIGHUP', () => reloadTokens('SIGHUP'));
+      watchFile(config.tokenFile, { interval: 2000 }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          reloadTokens('file change');
+        }
+      });
+    }
+  }).catch(error => {
+    logger.error(`Initialization error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// initConfig, processAccount and getStatus are exported for the integration
+// tests in test/
+module.exports = {
+  run,
+  initConfig,
+  processAccount,
+  getStatus
+};
@@ -0,0 +1,200 @@
+// Threshold alerts
+// Evaluates rules against every recorded run and reports when one starts or
+// stops matching. Alerts are posted to a Slack-compatible webhook.
+const fetch = require('node-fetch');
+
+// Run fields the numeric rules look at
+const METRICS = {
+  download: { field: 'downloadMbps', unit: 'Mbps' },
+  upload: { field: 'uploadMbps', unit: 'Mbps' },
+  latency: { field: 'latencyMs', unit: 'ms' },
+  jitter: { field: 'jitterMs', unit: 'ms' }
+};
+
+const REPORT_FAILURE = 'report-failure';
+
+const isSet = (value) => value !== undefined && value !== null;
+
+function threshold(rule) {
+  return isSet(rule.below) ? rule.below : rule.above;
+}
+
+function ruleName(rule) {
+  if (rule.name) return rule.name;
+  if (rule.metric === REPORT_FAILURE) return REPORT_FAILURE;
+  return `${rule.metric}-${isSet(rule.below) ? 'below' : 'above'}-${threshold(rule)}`;
+}
+
+// Problems with rules that the config schema cannot express
+function checkRules(rules) {
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const key = `alerts.rules[${i}]`;
+    const hasBelow = isSet(rule.below);
+    const hasAbove = isSet(rule.above);
+    if (!rule.metric) {
+      errors.push(`${key}.metric: is required`);
+    } else if (rule.metric === REPORT_FAILURE) {
+      if (hasBelow || hasAbove) errors.push(`${key}: ${REPORT_FAILURE} takes no below/above`);
+    } else if (hasBelow === hasAbove) {
+      errors.push(`${key}: needs exactly one of below or above`);
+    }
+  });
+  return errors;
+}
+
+// The rule's reading of a run: { value, matched }, or null if the run says
+// nothing about it (failed measurement, report not attempted)
+function sample(rule, record) {
+  if (rule.metric === REPORT_FAILURE) {
+    if (!['submitted', 'failed', 'error'].includes(record.report)) return null;
+    return { value: record.report, matched: record.report !== 'submitted' };
+  }
+
+  const value = record[METRICS[rule.metric].field];
+  if (record.status === 'failed' || typeof value !== 'number') return null;
+  const matched = isSet(rule.below) ? value < rule.below : value > rule.above;
+  return { value, matched };
+}
+
+function describe(rule, event) {
+  const parts = [];
+  if (event.account !== null) parts.push(`account ${event.account}`);
+  if (event.family) parts.push(event.family === 'ipv6' ? 'IPv6' : 'IPv4');
+  const who = parts.length ? ` (${parts.join(', ')})` : '';
+  if (rule.metric === REPORT_FAILURE) {
+    return event.status === 'firing'
+      ? `report failed for ${rule.for} consecutive runs${who}`
+      : `reports succeeding again${who}`;
+  }
+
+  const { unit } = METRICS[rule.metric];
+  const value = `${event.value.toFixed(2)} ${unit}`;
+  if (event.status === 'resolved') {
+    return `${rule.metric} back to ${value}${who}`;
+  }
+  const comparison = isSet(rule.below) ? 'below' : 'above';
+  return `${rule.metric} ${value} ${comparison} ${threshold(rule)} ${unit} for ${rule.for} consecutive runs${who}`;
+}
+
+// `rules` entries: { name, metric, below | above, for, recoverAfter }.
+// A rule fires once `for` consecutive runs of an account (and address
+// family, when runs alternate between IPv4 and IPv6) match and resolves
+// after `recoverAfter` runs that do not. After an alert, the same rule and
+// account do not alert again for `cooldown` ms; such firings are returned
+// with `suppressed: true` and their recovery is not announced.
+function createAlertRules(rules, { cooldown = 0 } = {}) {
+  const normalized = rules.map(rule => ({
+    ...rule,
+    name: ruleName(rule),
+    for: rule.for || 1,
+    recoverAfter: rule.recoverAfter || 1
+  }));
+  const states = new Map();
+
+  const stateFor = (rule, account, family) => {
+    const key = `${rule.name}|${account}|${family}`;
+    if (!states.has(key)) {
+      states.set(key, {
+        rule: rule.name,
+        account,
+        family,
+        matches: 0,
+        clears: 0,
+        firing: false,
+        notified: false,
+        lastSent: null,
+        since: null
+      });
+    }
+    return states.get(key);
+  };
+
+  // Feed one run; returns the alerts and recoveries it caused
+  function observe(record, now = Date.now()) {
+    const events = [];
+    for (const rule of normalized) {
+      const reading = sample(rule, record);
+      if (!reading) continue;
+
+      const family = record.family || null;
+      const state = stateFor(rule, record.account, family);
+      let status = null;
+      if (reading.matched) {
+        state.matches++;
+        state.clears = 0;
+        if (!state.firing && state.matches >= rule.for) {
+          state.firing = true;
+          state.since = new Date(now).toISOString();
+          state.notified = state.lastSent === null || now - state.lastSent >= cooldown;
+          if (state.notified) state.lastSent = now;
+          status = 'firing';
+        } else if (state.firing && !state.notified && now - state.lastSent >= cooldown) {
+          // Still firing once the cooldown that suppressed it has run out
+          state.notified = true;
+          state.lastSent = now;
+          status = 'firing';
+        }
+      } else {
+        state.clears++;
+        state.matches = 0;
+        if (state.firing && state.clears >= rule.recoverAfter) {
+          state.firing = false;
+          state.since = null;
+          if (state.notified) status = 'resolved';
+        }
+      }
+
+      if (status) {
+        const event = {
+          status,
+          rule: rule.name,
+          metric: rule.metric,
+          account: record.account,
+          family,
+          value: reading.value,
+          threshold: rule.metric === REPORT_FAILURE ? null : threshold(rule),
+          runs: status === 'firing' ? rule.for : rule.recoverAfter,
+          suppressed: status === 'firing' && !state.notified,
+          time: new Date(now).toISOString()
+        };
+        event.message = describe(rule, event);
+        events.push(event);
+      }
+    }
+    return events;
+  }
+
+  // Rules currently firing, per account and family
+  const active = () => [...states.values()]
+    .filter(state => state.firing)
+    .map(({ rule, account, family, since }) => ({ rule, account, family, since }));
+
+  return { rules: normalized, observe, active };
+}
+
+// POST an alert to a webhook. `text` makes it show up in Slack (and
+// compatible receivers); the structured fields are for everything else.
+async function sendWebhook(url, event, { fetch: fetchImpl = fetch, timeout = 10000 } = {}) {
+  const icon = event.status === 'firing' ? '🔴' : '🟢';
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    timeout,
+    body: JSON.stringify({
+      text: `${icon} DeSpeed ${event.status === 'firing' ? 'alert' : 'recovered'}: ${event.rule}: ${event.message}`,
+      ...event
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded ${response.status}`);
+  }
+}
+
+module.exports = {
+  METRICS,
+  REPORT_FAILURE,
+  checkRules,
+  createAlertRules,
+  sendWebhook
+};
@@ -0,0 +1,410 @@
+// DeSpeed client
+// Token check, ndt7 measurement and result reporting without any CLI
+// concerns. Progress is reported through events instead of logging.
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const ndt7 = require('./ndt7');
+const { locateServers, withFailover } = require('./locate');
+const { createHttpClient, AuthError } = require('./http');
+const { ipFromAddress } = require('./location');
+const { defaults } = require('./config');
+
+// Tokens within this many ms of their exp claim are treated as expired
+const EXPIRY_MARGIN = 90000;
+
+// The token itself is unusable, as opposed to the API being unreachable.
+// `reason` is one of missing, malformed, expired or rejected.
+class TokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'TokenError';
+    this.reason = reason;
+  }
+}
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0';
+
+// Headers the DeSpeed web app sends with every API call
+function getCommonHeaders(token) {
+  return {
+    'Authorization': `Bearer ${token}`,
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache',
+    'sec-ch-ua': '"Microsoft Edge";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'Origin': 'https://app.despeed.net',
+    'Referer': 'https://app.despeed.net/dashboard'
+  };
+}
+
+// Decode the JWT payload; throws if the token is not a JWT
+function decodeTokenPayload(token) {
+  const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+}
+
+// Read the JWT exp claim as a Date, or null if the token carries none
+function tokenExpiry(token) {
+  try {
+    const { exp } = decodeTokenPayload(token);
+    return typeof exp === 'number' ? new Date(exp * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Proxy agent for `proxy.type` (http, socks4 or socks5)
+function createProxyAgent(proxy) {
+  if (proxy.type === 'http') {
+    return new HttpsProxyAgent({
+      proxy: proxy.url,
+      timeout: proxy.timeout,
+      keepAlive: true,
+      maxFreeSockets: 256,
+      maxSockets: 256
+    });
+  }
+  return new SocksProxyAgent(proxy.url);
+}
+
+// Line quality figures kept alongside the speeds
+function lineQuality(result) {
+  return {
+    latency: result.minRtt,
+    rtt: result.rtt,
+    jitter: result.jitter,
+    retransmissionRate: result.retransmissionRate
+  };
+}
+
+// Address families performSpeedTest can be held to, as Node's `family`
+const FAMILIES = { ipv4: 4, ipv6: 6 };
+
+// node-fetch agent that only connects over IP version `version`
+function familyAgent(version) {
+  const agents = {
+    'http:': new http.Agent({ family: version }),
+    'https:': new https.Agent({ family: version })
+  };
+  return (url) => agents[url.protocol];
+}
+
+// Server IP of a subtest: the socket peer when connected directly, else
+// what the server reported (through a proxy the peer is the proxy)
+function serverIp(result, proxied) {
+  return (!proxied && ipFromAddress(result.remoteAddress))
+    || ipFromAddress(result.connectionInfo && result.connectionInfo.Server);
+}
+
+function familyOf(ip) {
+  const version = ip ? net.isIP(ip) : 0;
+  return version ? `ipv${version}` : null;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Aborted by shutdown');
+  }
+}
+
+// Events:
+//   proxy        { status: 'connected'|'unreachable'|'error'|'invalid', type, attempt, retries, error }
+//   locating     { sessionId, family }
+//   located      { candidates }
+//   downloading  { server, streams, duration }   download  Ndt7Result
+//   uploading    { server, streams, duration }   upload    Ndt7Result
+//   measurement  { test, stream, measurement }
+//   failover     { server, error }
+//   reporting    { payload }
+//   response     { endpoint, status }
+//   retry        { endpoint, attempt, attempts, delay, error }
+//   failure      { stage: 'locate'|'download'|'upload'|'report', error }
+//
+// API requests reject with the HttpError subclasses from ./http. `timeouts`
+// may set `profile`, `points` and `locate` besides the `http` default;
+// `retry` is { attempts, baseDelay, maxDelay }, `ndt7` is { duration,
+// streams } for each subtest. `fetch`, `WebSocket` and
+// `createAgent(proxy)` may be replaced, e.g. to run against local stand-ins.
+class DeSpeedClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.baseUrl = options.baseUrl || defaults.baseUrl;
+    this.locateUrl = options.locateUrl || defaults.locateUrl;
+    this.timeouts = { ...defaults.timeouts, ...options.timeouts };
+    this.retry = { ...defaults.retry, ...options.retry };
+    this.ndt7 = { ...defaults.ndt7, ...options.ndt7 };
+    this.proxy = options.proxy && options.proxy.url
+      ? { ...defaults.proxy, type: 'http', ...options.proxy }
+      : null;
+    this.fetch = options.fetch || fetch;
+    this.WebSocket = options.WebSocket || WebSocket;
+    this.createAgent = options.createAgent || createProxyAgent;
+    this.http = createHttpClient({
+      fetch: this.fetch,
+      timeouts: this.timeouts,
+      retry: this.retry,
+      onResponse: (event) => this.emit('response', event),
+      onRetry: (event) => this.emit('retry', event)
+    });
+  }
+
+  // Check that the proxy can reach `proxy.testUrl`
+  async isProxyAlive(agent) {
+    try {
+      const response = await this.fetch(this.proxy.testUrl, {
+        agent,
+        timeout: this.proxy.timeout
+      });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  // Resolves with a working proxy agent, or undefined when no proxy is set
+  // or none could be reached within `proxy.maxRetries` attempts
+  async getProxyAgent() {
+    if (!this.proxy) return undefined;
+
+    const retries = this.proxy.maxRetries;
+    for (let i = 0; i < retries; i++) {
+      let agent;
+      try {
+        agent = this.createAgent(this.proxy);
+      } catch (error) {
+        this.emit('proxy', { status: 'invalid', type: this.proxy.type, error });
+        return undefined;
+      }
+      if (!agent) {
+        return undefined;
+      }
+
+      try {
+        if (await this.isProxyAlive(agent)) {
+          this.emit('proxy', { status: 'connected', type: this.proxy.type });
+          return agent;
+        }
+
+        this.emit('proxy', { status: 'unreachable', type: this.proxy.type, attempt: i + 1, retries });
+        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+      } catch (error) {
+        this.emit('proxy', { status: 'error', type: this.proxy.type, attempt: i + 1, retries, error });
+        if (i === retries - 1) {
+          throw new Error('Maximum proxy retry attempts reached');
+        }
+      }
+    }
+
+    return undefined;
+  }
+
+  // Profile request; resolves with { status, body }, the body parsed unless
+  // `json` is false. Rejects with an AuthError when the API refuses the token.
+  async requestProfile(token, { json = true } = {}) {
+    return this.http.request('profile', `${this.baseUrl}/v1/api/auth/profile`, {
+      headers: getCommonHeaders(token),
+      agent: await this.getProxyAgent(),
+      json
+    });
+  }
+
+  // Resolves with the account profile
+  async getProfile(token) {
+    const { body } = await this.requestProfile(token);
+    return body;
+  }
+
+  // Resolves true if the token is not about to expire and the API accepts
+  // it. Rejects with a TokenError if the token is unusable, or with the
+  // request error if the API could not be asked.
+  async validateToken(token) {
+    if (!token) {
+      throw new TokenError('Token not found', 'missing');
+    }
+
+    let exp;
+    try {
+      ({ exp } = decodeTokenPayload(token));
+    } catch {
+      throw new TokenError('Token is not a JWT', 'malformed');
+    }
+    if (exp * 1000 - EXPIRY_MARGIN < Date.now()) {
+      throw new TokenError('Token expired', 'expired');
+    }
+
+    // Only the status matters here; the body is not needed to accept a token
+    try {
+      await this.requestProfile(token, { json: false });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw new TokenError('Token invalid', 'rejected');
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  // Locate nearby ndt7 servers and run download then upload on the first
+  // one that completes both. `sessionId` is sent as client_session_id.
+  // `family` ('ipv4' or 'ipv6') holds the locate request and both subtests
+  // to that address family; a server reached over the other one is skipped.
+  async performSpeedTest({ sessionId = crypto.randomUUID(), signal, family = null } = {}) {
+    if (family !== null && !FAMILIES[family]) {
+      throw new Error(`Unknown address family: ${family}`);
+    }
+    const agent = await this.getProxyAgent();
+    const version = FAMILIES[family];
+
+    this.emit('locating', { sessionId, family });
+    let candidates;
+    try {
+      candidates = await locateServers({
+        baseUrl: this.locateUrl,
+        metadata: {
+          client_name: 'speed-measurementlab-net-1',
+          client_session_id: sessionId
+        },
+        agent: agent || (version && familyAgent(version)),
+        http: this.http
+      });
+    } catch (error) {
+      this.emit('failure', { stage: 'locate', error });
+      throw error;
+    }
+    this.emit('located', { candidates });
+
+    const { duration, streams } = this.ndt7;
+    const wsOptions = {
+      agent,
+      family: version,
+      duration,
+      streams,
+      timeout: this.timeouts.ndt7,
+      signal,
+      WebSocket: this.WebSocket
+    };
+
+    // Run both subtests on one machine, moving on to the next candidate if
+    // either of them fails to connect or breaks the protocol
+    const { server, result } = await withFailover(candidates, async (candidate) => {
+      throwIfAborted(signal);
+
+      this.emit('downloading', { server: candidate, streams, duration });
+      const download = await ndt7.download(candidate.downloadUrl, {
+        ...wsOptions,
+        onMeasurement: (measurement, stream) => this.emit('measurement', { test: 'download', stream, measurement })
+      });
+      throwIfAborted(signal);
+      if (download.error) {
+        this.emit('failure', { stage: 'download', error: new Error(download.error) });
+        return { error: `Download test error: ${download.error}` };
+      }
+      // An IP literal in the URL, or a proxy, can bypass the family setting
+      const measured = familyOf(serverIp(download, Boolean(agent)));
+      if (family && measured && measured !== family) {
+        const error = `Connected over ${measured}, not ${family}`;
+        this.emit('failure', { stage: 'download', error: new Error(error) });
+        return { error };
+      }
+      this.emit('download', download);
+
+      this.emit('uploading', { server: candidate, streams, duration });
+      const upload = await ndt7.upload(candidate.uploadUrl, {
+        ...wsOptions,
+        onMeasurement: (measurement, stream) => this.emit('measurement', { test: 'upload', stream, measurement })
+      });
+      throwIfAborted(signal);
+      if (upload.error) {
+        this.emit('failure', { stage: 'upload', error: new Error(upload.error) });
+        return { error: `Upload test error: ${upload.error}` };
+      }
+      this.emit('upload', upload);
+
+      return { download, upload };
+    }, (candidate, error) => {
+      this.emit('failover', { server: candidate, error });
+    });
+
+    const { download, upload } = result;
+    download.server = server.machine;
+    upload.server = server.machine;
+    const ip = serverIp(download, Boolean(agent));
+
+    return {
+      sessionId,
+      downloadSpeed: download.mbps,
+      uploadSpeed: upload.mbps,
+      server: server.machine,
+      serverIp: ip,
+      family: familyOf(ip),
+      quality: {
+        download: lineQuality(download),
+        upload: lineQuality(upload)
+      },
+      download,
+      upload
+    };
+  }
+
+  // Body of the report request for speeds in Mbps at `location`
+  // ({latitude, longitude})
+  buildReport(downloadSpeed, uploadSpeed, location) {
+    return {
+      download_speed: Math.round(downloadSpeed * 100) / 100,
+      upload_speed: Math.round(uploadSpeed * 100) / 100,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Submit speeds in Mbps for `location`. Resolves with the API response;
+  // rejects if the API does not report success. Not idempotent, so only
+  // retried when the request cannot have reached the API.
+  async reportResults(token, downloadSpeed, uploadSpeed, location) {
+    const payload = this.buildReport(downloadSpeed, uploadSpeed, location);
+
+    try {
+      this.emit('reporting', { payload });
+      const { body: data } = await this.http.request('points', `${this.baseUrl}/v1/api/points`, {
+        method: 'POST',
+        headers: {
+          ...getCommonHeaders(token),
+          'Content-Type': 'application/json'
+        },
+        agent: await this.getProxyAgent(),
+        body: JSON.stringify(payload)
+      });
+
+      // A 2xx answer can still turn the report down
+      if (!data || !data.success) {
+        const error = new Error((data && data.message) || 'Report failed');
+        error.body = data;
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      this.emit('failure', { stage: 'report', error });
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DeSpeedClient,
+  TokenError,
+  getCommonHeaders,
+  tokenExpiry,
+  lineQuality
+};
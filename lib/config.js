@@ -0,0 +1,607 @@
+// Configuration loading
+// Settings come from built-in defaults, then a JSON/YAML config file, then
+// command-line flags; the merged result is checked against `schema`.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseCron, nextCronTime } = require('./scheduler');
+const { dayKey } = require('./history');
+const { METRICS, REPORT_FAILURE, checkRules } = require('./alerts');
+const { DEFAULT_DURATION, MAX_STREAMS } = require('./ndt7');
+
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+const defaults = {
+  baseUrl: 'https://app.despeed.net',
+  locateUrl: 'https://locate.measurementlab.net',
+  // Address family for locate and ndt7: auto (left to the OS), ipv4, ipv6,
+  // or both (one measurement per family, back to back)
+  ipFamily: 'auto',
+  checkInterval: 60000,
+  cron: null,
+  // report, dry-run (measure and print the report instead of sending it) or
+  // measure-only (no token, nothing reported)
+  mode: 'report',
+  accountDelay: 30000,
+  shutdownTimeout: 30000,
+  tokenFile: 'token.txt',
+  // Hours before a token's expiry at which to warn
+  tokenWarnings: [72, 24],
+  nonInteractive: false,
+  timeouts: {
+    http: 30000,
+    // Per API endpoint; null uses `http`
+    profile: null,
+    points: null,
+    locate: null,
+    ndt7: 15000
+  },
+  ndt7: {
+    // Test window per subtest in ms; public M-Lab servers end tests after
+    // about 10 s
+    duration: 10000,
+    // Parallel connections per subtest, their throughput added up
+    streams: 1
+  },
+  // API requests that fail transiently are repeated with exponential backoff
+  // (and jitter) from baseDelay up to maxDelay ms, `attempts` tries in all
+  retry: {
+    attempts: 3,
+    baseDelay: 1000,
+    maxDelay: 10000
+  },
+  proxy: {
+    url: '',
+    file: 'proxy.txt',
+    timeout: 10000,
+    maxRetries: 3,
+    testUrl: 'https://api.ipify.org?format=json'
+  },
+  location: {
+    file: 'location.txt',
+    latitude: null,
+    longitude: null,
+    geoipDatabase: 'GeoLite2-City.mmdb',
+    maxAccuracyRadius: 100
+  },
+  validation: {
+    minDurationRatio: 0.8,
+    maxMbps: 100000
+  },
+  history: {
+    file: 'history.jsonl'
+  },
+  export: {
+    dir: '.',
+    // Contracted line speeds in Mbps; the export summary reports the share
+    // of runs below them
+    contractDownload: null,
+    contractUpload: null
+  },
+  alerts: {
+    webhook: null,
+    // Minimum time between two alerts for the same rule and account
+    cooldown: 30 * 60000,
+    rules: []
+  },
+  status: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 9464
+  },
+  logging: {
+    level: 'info',
+    format: 'pretty',
+    color: true,
+    file: null,
+    maxSize: 10 * 1024 * 1024,
+    maxFiles: 5
+  }
+};
+
+const url = { type: 'url' };
+const file = { type: 'string' };
+const ms = { type: 'integer', min: 0 };
+
+const schema = {
+  baseUrl: url,
+  locateUrl: url,
+  ipFamily: { type: 'enum', values: ['auto', 'ipv4', 'ipv6', 'both'] },
+  checkInterval: { type: 'integer', min: 1000 },
+  cron: { type: 'cron', nullable: true },
+  mode: { type: 'enum', values: ['report', 'dry-run', 'measure-only'] },
+  accountDelay: ms,
+  shutdownTimeout: { type: 'integer', min: 1000 },
+  tokenFile: file,
+  tokenWarnings: { type: 'list', item: { type: 'number', min: 0 } },
+  nonInteractive: { type: 'boolean' },
+  timeouts: {
+    http: { type: 'integer', min: 1000 },
+    profile: { type: 'integer', min: 1000, nullable: true },
+    points: { type: 'integer', min: 1000, nullable: true },
+    locate: { type: 'integer', min: 1000, nullable: true },
+    ndt7: { type: 'integer', min: 1000 }
+  },
+  ndt7: {
+    duration: { type: 'integer', min: 1000, max: DEFAULT_DURATION },
+    streams: { type: 'integer', min: 1, max: MAX_STREAMS }
+  },
+  retry: {
+    attempts: { type: 'integer', min: 1 },
+    baseDelay: ms,
+    maxDelay: ms
+  },
+  proxy: {
+    url: { type: 'string' },
+    file: { ...file, nullable: true },
+    timeout: { type: 'integer', min: 1000 },
+    maxRetries: { type: 'integer', min: 1 },
+    testUrl: url
+  },
+  location: {
+    file: { ...file, nullable: true },
+    latitude: { type: 'number', min: -90, max: 90, nullable: true },
+    longitude: { type: 'number', min: -180, max: 180, nullable: true },
+    geoipDatabase: { ...file, nullable: true },
+    maxAccuracyRadius: { type: 'number', min: 1 }
+  },
+  validation: {
+    minDurationRatio: { type: 'number', min: 0, max: 1 },
+    maxMbps: { type: 'number', min: 1 }
+  },
+  history: {
+    file: { ...file, nullable: true }
+  },
+  export: {
+    dir: file,
+    contractDownload: { type: 'number', min: 0, nullable: true },
+    contractUpload: { type: 'number', min: 0, nullable: true }
+  },
+  alerts: {
+    webhook: { ...url, nullable: true },
+    cooldown: ms,
+    rules: {
+      type: 'list',
+      item: {
+        name: { type: 'string' },
+        metric: { type: 'enum', values: [...Object.keys(METRICS), REPORT_FAILURE] },
+        below: { type: 'number', nullable: true },
+        above: { type: 'number', nullable: true },
+        for: { type: 'integer', min: 1 },
+        recoverAfter: { type: 'integer', min: 1 }
+      }
+    }
+  },
+  status: {
+    enabled: { type: 'boolean' },
+    host: { type: 'string' },
+    port: { type: 'integer', min: 0, max: 65535 }
+  },
+  logging: {
+    level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+    format: { type: 'enum', values: ['pretty', 'json'] },
+    color: { type: 'boolean' },
+    file: { ...file, nullable: true },
+    maxSize: { type: 'integer', min: 1024 },
+    maxFiles: { type: 'integer', min: 1 }
+  }
+};
+
+// Subcommands and the options only they accept
+const commands = {
+  run: {},
+  history: {
+    '--limit': { key: 'limit', default: 20 },
+    '--days': { key: 'days', default: 30 }
+  },
+  export: {
+    '--from': { key: 'from', type: 'date', default: null },
+    '--to': { key: 'to', type: 'date', default: null }
+  }
+};
+
+// Command-line flags and the setting each one writes
+const flags = {
+  '--base-url': { key: 'baseUrl', type: 'string' },
+  '--locate-url': { key: 'locateUrl', type: 'string' },
+  '--ip-family': { key: 'ipFamily', type: 'string' },
+  '--interval': { key: 'checkInterval', type: 'minutes' },
+  '--cron': { key: 'cron', type: 'string' },
+  '--account-delay': { key: 'accountDelay', type: 'seconds' },
+  '--dry-run': { key: 'mode', value: 'dry-run' },
+  '--measure-only': { key: 'mode', value: 'measure-only' },
+  '--token-file': { key: 'tokenFile', type: 'string' },
+  '--token-warn': { key: 'tokenWarnings', type: 'list' },
+  '--http-timeout': { key: 'timeouts.http', type: 'seconds' },
+  '--test-timeout': { key: 'timeouts.ndt7', type: 'seconds' },
+  '--test-duration': { key: 'ndt7.duration', type: 'seconds' },
+  '--streams': { key: 'ndt7.streams', type: 'integer' },
+  '--retries': { key: 'retry.attempts', type: 'integer' },
+  '--proxy': { key: 'proxy.url', type: 'string' },
+  '--proxy-file': { key: 'proxy.file', type: 'string' },
+  '--location': { key: 'location', type: 'coordinates' },
+  '--location-file': { key: 'location.file', type: 'string' },
+  '--geoip-db': { key: 'location.geoipDatabase', type: 'string' },
+  '--history-file': { key: 'history.file', type: 'string' },
+  '--alert-webhook': { key: 'alerts.webhook', type: 'string' },
+  '--export-dir': { key: 'export.dir', type: 'string' },
+  '--contract-download': { key: 'export.contractDownload', type: 'number' },
+  '--contract-upload': { key: 'export.contractUpload', type: 'number' },
+  '--status': { key: 'status.enabled', value: true },
+  '--status-port': { key: 'status.port', type: 'integer' },
+  '--log-level': { key: 'logging.level', type: 'string' },
+  '--log-format': { key: 'logging.format', type: 'string' },
+  '--log-file': { key: 'logging.file', type: 'string' },
+  '--no-color': { key: 'logging.color', value: false },
+  '--non-interactive': { key: 'nonInteractive', value: true }
+};
+
+const usage = `Usage: node index.js [command] [options]
+
+Commands:
+  run                      Run speed tests on a schedule (default)
+  history                  List recent runs and daily/weekly statistics
+    --limit <n>            Number of recent runs to list (default 20)
+    --days <n>             Days covered by the statistics (default 30)
+  export                   Write runs and a daily summary as CSV and JSON
+    --from <YYYY-MM-DD>    First day to include (default 30 days before --to)
+    --to <YYYY-MM-DD>      Last day to include (default today)
+
+Options:
+  --config <file>          JSON or YAML config file (default: ${DEFAULT_CONFIG_FILES.join(', ')})
+  --base-url <url>         DeSpeed API base URL
+  --locate-url <url>       M-Lab locate API base URL
+  --ip-family <family>     auto, ipv4, ipv6 or both (one test per family)
+  --interval <minutes>     Time between test cycle starts
+  --cron <expression>      Cron schedule (e.g. "*/30 * * * *"), replaces --interval
+  --account-delay <sec>    Pause between accounts
+  --dry-run                Measure and print the report payload instead of sending it
+  --measure-only           Measure and record without any token; nothing is reported
+  --token-file <file>      File with one token per line
+  --token-warn <hours,...> Warn this many hours before a token expires (default 72,24)
+  --http-timeout <sec>     Timeout for API requests
+  --test-timeout <sec>     Safety timeout for each ndt7 subtest
+  --test-duration <sec>    Length of each ndt7 subtest (default and max 10)
+  --streams <n>            Parallel ndt7 connections per subtest (default 1)
+  --retries <n>            Attempts per API request, including the first (default 3)
+  --proxy <url>            Proxy URL (http, socks4 or socks5)
+  --proxy-file <file>      File holding the proxy URL
+  --location <lat,lng>     Coordinates of this machine
+  --location-file <file>   File holding "lat,lng"
+  --geoip-db <file>        MaxMind-format city database
+  --history-file <file>    Measurement history (JSON lines)
+  --alert-webhook <url>    Post alerts for the rules in alerts.rules here
+  --export-dir <dir>       Directory for export files (default: current)
+  --contract-download <mbps>  Contracted download speed, for the export summary
+  --contract-upload <mbps>    Contracted upload speed, for the export summary
+  --status                 Serve /healthz, /status and /metrics
+  --status-port <port>     Port for the status server (default 9464)
+  --log-level <level>      debug, info, warn or error
+  --log-format <format>    pretty or json (JSON lines)
+  --log-file <file>        Also write JSON lines to a rotating log file
+  --no-color               Disable coloured output
+  --non-interactive        Never prompt; use defaults for anything not set
+  -h, --help               Show this help`;
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Invalid configuration${source ? ` in ${source}` : ''}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'number') return String(value);
+  return JSON.stringify(value);
+}
+
+function checkValue(rule, value, key) {
+  if (value === null && rule.nullable) {
+    return null;
+  }
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${key}: must be a string (got ${describe(value)})`;
+      break;
+    case 'cron':
+      if (typeof value !== 'string') return `${key}: must be a cron expression (got ${describe(value)})`;
+      try {
+        // Parses, but e.g. "0 0 31 2 *" would never run
+        nextCronTime(parseCron(value), new Date());
+      } catch (error) {
+        return `${key}: ${error.message}`;
+      }
+      break;
+    case 'list': {
+      if (!Array.isArray(value)) return `${key}: must be a list (got ${describe(value)})`;
+      // Items are either plain values or objects with their own schema
+      const errors = value.flatMap((item, i) => {
+        if (rule.item.type) return [checkValue(rule.item, item, `${key}[${i}]`)];
+        if (!isPlainObject(item)) return [`${key}[${i}]: must be an object`];
+        return validateConfig(item, rule.item, `${key}[${i}].`);
+      }).filter(Boolean);
+      if (errors.length) return errors;
+      break;
+    }
+    case 'enum':
+      if (!rule.values.includes(value)) return `${key}: must be one of ${rule.values.join(', ')} (got ${describe(value)})`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${key}: must be true or false (got ${describe(value)})`;
+      break;
+    case 'url':
+      try {
+        const parsed = new URL(value);
+        if (!/^https?:$/.test(parsed.protocol)) throw new Error();
+      } catch {
+        return `${key}: must be an http(s) URL (got ${describe(value)})`;
+      }
+      break;
+    case 'integer':
+    case 'number': {
+      const ok = typeof value === 'number' && Number.isFinite(value)
+        && (rule.type === 'number' || Number.isInteger(value));
+      if (!ok) return `${key}: must be ${rule.type === 'integer' ? 'an integer' : 'a number'} (got ${describe(value)})`;
+      if (rule.min !== undefined && value < rule.min) return `${key}: must be >= ${rule.min} (got ${value})`;
+      if (rule.max !== undefined && value > rule.max) return `${key}: must be <= ${rule.max} (got ${value})`;
+      break;
+    }
+  }
+  return null;
+}
+
+// Check `value` against `rules`; returns a list of human-readable errors
+function validateConfig(value, rules = schema, prefix = '') {
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    const name = `${prefix}${key}`;
+    const rule = rules[key];
+    if (!rule) {
+      errors.push(`${name}: unknown option`);
+    } else if (rule.type) {
+      const error = checkValue(rule, value[key], name);
+      if (error) errors.push(...[].concat(error));
+    } else if (!isPlainObject(value[key])) {
+      errors.push(`${name}: must be an object`);
+    } else {
+      errors.push(...validateConfig(value[key], rule, `${name}.`));
+    }
+  }
+  return errors;
+}
+
+function merge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? merge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function convertFlag(flag, spec, raw) {
+  switch (spec.type) {
+    case 'minutes':
+    case 'seconds': {
+      const number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) {
+        throw new ConfigError([`${flag}: must be a number of ${spec.type} (got "${raw}")`]);
+      }
+      return Math.round(number * (spec.type === 'minutes' ? 60000 : 1000));
+    }
+    case 'integer': {
+      const number = Number(raw);
+      if (!Number.isInteger(number)) {
+        throw new ConfigError([`${flag}: must be an integer (got "${raw}")`]);
+      }
+      return number;
+    }
+    case 'number': {
+      const number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) {
+        throw new ConfigError([`${flag}: must be a number (got "${raw}")`]);
+      }
+      return number;
+    }
+    case 'list':
+      return raw === '' ? [] : raw.split(',').map((part) => Number(part.trim()));
+    case 'coordinates': {
+      const [latitude, longitude] = raw.split(',').map((part) => Number(part.trim()));
+      return { latitude, longitude };
+    }
+    default:
+      return raw;
+  }
+}
+
+// Command options are positive integers unless their spec says otherwise
+function convertOption(flag, spec, raw) {
+  if (spec.type === 'date') {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? new Date(`${raw}T00:00:00`) : null;
+    if (!date || Number.isNaN(date.getTime()) || dayKey(date) !== raw) {
+      throw new ConfigError([`${flag}: must be a date as YYYY-MM-DD (got "${raw}")`]);
+    }
+    return raw;
+  }
+  const number = Number(raw);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ConfigError([`${flag}: must be a positive integer (got "${raw}")`]);
+  }
+  return number;
+}
+
+// Parse command-line arguments into
+// { command, options, configFile, help, overrides, explicit }
+function parseArgs(argv) {
+  const overrides = {};
+  const explicit = new Set();
+  let configFile = null;
+  let help = false;
+  let command = 'run';
+  let start = 0;
+
+  if (argv.length > 0 && !argv[0].startsWith('-')) {
+    command = argv[0];
+    if (!commands[command]) {
+      throw new ConfigError([`${command}: unknown command (see --help)`]);
+    }
+    start = 1;
+  }
+
+  const commandFlags = commands[command];
+  const options = {};
+  for (const spec of Object.values(commandFlags)) {
+    options[spec.key] = spec.default;
+  }
+
+  for (let i = start; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const flag = arg.startsWith('--') && eq !== -1 ? arg.slice(0, eq) : arg;
+    const inline = flag !== arg ? arg.slice(eq + 1) : undefined;
+    const takeValue = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length) {
+        throw new ConfigError([`${flag}: missing value`]);
+      }
+      return argv[++i];
+    };
+
+    if (flag === '-h' || flag === '--help') {
+      help = true;
+      continue;
+    }
+    if (flag === '--config') {
+      configFile = takeValue();
+      continue;
+    }
+    if (commandFlags[flag]) {
+      options[commandFlags[flag].key] = convertOption(flag, commandFlags[flag], takeValue());
+      continue;
+    }
+
+    const spec = flags[flag];
+    if (!spec) {
+      throw new ConfigError([`${arg}: unknown flag (see --help)`]);
+    }
+    const value = 'value' in spec ? spec.value : convertFlag(flag, spec, takeValue());
+    if (spec.type === 'coordinates') {
+      setPath(overrides, 'location.latitude', value.latitude);
+      setPath(overrides, 'location.longitude', value.longitude);
+    } else {
+      setPath(overrides, spec.key, value);
+    }
+    explicit.add(spec.key);
+  }
+
+  return { command, options, configFile, help, overrides, explicit };
+}
+
+// Read a JSON or YAML config file
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`could not parse: ${error.message}`], filePath);
+  }
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (!isPlainObject(data)) {
+    throw new ConfigError(['top level must be an object'], filePath);
+  }
+  const errors = validateConfig(data);
+  if (errors.length) {
+    throw new ConfigError(errors, filePath);
+  }
+  return data;
+}
+
+function collectKeys(value, prefix, keys) {
+  for (const [key, child] of Object.entries(value)) {
+    keys.add(`${prefix}${key}`);
+    if (isPlainObject(child)) {
+      collectKeys(child, `${prefix}${key}.`, keys);
+    }
+  }
+  return keys;
+}
+
+// Build the settings from defaults, config file and flags. `explicit` holds
+// the dotted keys that were set by the file or flags rather than defaults.
+function loadConfig(argv = [], cwd = process.cwd()) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    return { help: true, usage };
+  }
+
+  let source = null;
+  let fileSettings = {};
+  if (args.configFile) {
+    source = path.resolve(cwd, args.configFile);
+    if (!fs.existsSync(source)) {
+      throw new ConfigError([`config file ${args.configFile} not found`]);
+    }
+  } else {
+    source = DEFAULT_CONFIG_FILES
+      .map((name) => path.join(cwd, name))
+      .find((candidate) => fs.existsSync(candidate)) || null;
+  }
+  if (source) {
+    fileSettings = readConfigFile(source);
+  }
+
+  const settings = merge(merge(defaults, fileSettings), args.overrides);
+  const errors = validateConfig(settings);
+  if ((settings.location.latitude === null) !== (settings.location.longitude === null)) {
+    errors.push('location: latitude and longitude must be set together');
+  }
+  if (errors.length === 0) {
+    errors.push(...checkRules(settings.alerts.rules));
+    if (settings.timeouts.ndt7 <= settings.ndt7.duration) {
+      errors.push(`timeouts.ndt7: must be longer than ndt7.duration (${settings.ndt7.duration})`);
+    }
+  }
+  if (errors.length) {
+    throw new ConfigError(errors);
+  }
+
+  const explicit = collectKeys(fileSettings, '', new Set(args.explicit));
+  return {
+    help: false,
+    command: args.command,
+    options: args.options,
+    settings,
+    source,
+    explicit
+  };
+}
+
+module.exports = {
+  defaults,
+  schema,
+  usage,
+  ConfigError,
+  validateConfig,
+  parseArgs,
+  loadConfig
+};
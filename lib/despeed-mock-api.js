@@ -0,0 +1,99 @@
+// Local DeSpeed API stand-in for offline testing
+// Serves /v1/api/auth/profile and /v1/api/points with per-test handlers and
+// records every request it receives.
+const http = require('http');
+
+const PROFILE_PATH = '/v1/api/auth/profile';
+const POINTS_PATH = '/v1/api/points';
+
+function json(status, body) {
+  return (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+}
+
+function text(status, body, type = 'text/html') {
+  return (req, res) => {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+  };
+}
+
+// Never answer, so the client has to time out
+function hang() {
+  return () => {};
+}
+
+// Answer with each handler in turn, repeating the last one
+function sequence(...handlers) {
+  let calls = 0;
+  return (req, res) => handlers[Math.min(calls++, handlers.length - 1)](req, res);
+}
+
+const defaultHandlers = {
+  [PROFILE_PATH]: json(200, { data: { username: 'tester', email: 'tester@example.com' } }),
+  [POINTS_PATH]: json(200, { success: true, message: 'ok' })
+};
+
+// Resolves with { url, requests, handle(path, handler), reset(), close() }
+function startMockDeSpeedApi() {
+  const requests = [];
+  let handlers = { ...defaultHandlers };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      requests.push({ method: req.method, path, headers: req.headers, body });
+      const handler = handlers[path];
+      if (handler) {
+        handler(req, res);
+      } else {
+        json(404, { message: 'Not Found' })(req, res);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        handle: (path, handler) => {
+          handlers[path] = handler;
+        },
+        reset: () => {
+          handlers = { ...defaultHandlers };
+          requests.length = 0;
+        },
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+// Unsigned JWT whose exp claim is `expiresIn` seconds from now
+function createToken(expiresIn = 3600) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'tester', exp })}.signature`;
+}
+
+module.exports = {
+  PROFILE_PATH,
+  POINTS_PATH,
+  json,
+  text,
+  hang,
+  sequence,
+  startMockDeSpeedApi,
+  createToken
+};
@@ -0,0 +1,125 @@
+// Measurement export
+// Flattens history records into CSV/JSON rows and builds the per-day summary
+// used as evidence of the delivered line speed.
+const { dayKey } = require('./history');
+
+// Exported fields, in column order, and the history field each comes from
+const RECORD_COLUMNS = [
+  ['time', 'time'],
+  ['end_time', 'endTime'],
+  ['account', 'account'],
+  ['client_session_id', 'session'],
+  ['server', 'server'],
+  ['server_ip', 'serverIp'],
+  ['ip_family', 'family'],
+  ['download_mbps', 'downloadMbps'],
+  ['upload_mbps', 'uploadMbps'],
+  ['latency_ms', 'latencyMs'],
+  ['jitter_ms', 'jitterMs'],
+  ['retransmission_rate', 'retransmissionRate'],
+  ['upload_latency_ms', 'uploadLatencyMs'],
+  ['upload_jitter_ms', 'uploadJitterMs'],
+  ['download_uuid', 'downloadUuid'],
+  ['upload_uuid', 'uploadUuid'],
+  ['streams', 'streams'],
+  ['test_duration_ms', 'testDurationMs'],
+  ['status', 'status'],
+  ['reasons', 'reasons'],
+  ['report', 'report']
+];
+
+const SUMMARY_COLUMNS = [
+  'day',
+  'runs',
+  'complete',
+  'avg_download_mbps',
+  'avg_upload_mbps',
+  'avg_latency_ms',
+  'min_download_mbps',
+  'pct_below_contract_download',
+  'pct_below_contract_upload'
+];
+
+// One export row per history record; fields missing from older records
+// are null
+function toRow(record) {
+  const row = {};
+  for (const [column, field] of RECORD_COLUMNS) {
+    const value = record[field];
+    row[column] = value === undefined ? null : value;
+  }
+  row.reasons = Array.isArray(record.reasons) ? record.reasons.join(';') : null;
+  return row;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a header line
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+// Share of runs (in percent) with `field` below `contract`
+function belowContract(records, field, contract) {
+  if (contract === null || records.length === 0) return null;
+  return (100 * records.filter(record => record[field] < contract).length) / records.length;
+}
+
+function aggregate(key, records, contract) {
+  // Averages and contract shares only count complete runs; partial or
+  // failed measurements say nothing reliable about the line
+  const complete = records.filter(record => record.status === 'complete');
+  const downloads = complete.map(record => record.downloadMbps);
+  return {
+    day: key,
+    runs: records.length,
+    complete: complete.length,
+    avg_download_mbps: round(average(downloads)),
+    avg_upload_mbps: round(average(complete.map(record => record.uploadMbps))),
+    avg_latency_ms: round(average(complete.map(record => record.latencyMs))),
+    min_download_mbps: complete.length ? round(Math.min(...downloads)) : null,
+    pct_below_contract_download: round(belowContract(complete, 'downloadMbps', contract.download), 1),
+    pct_below_contract_upload: round(belowContract(complete, 'uploadMbps', contract.upload), 1)
+  };
+}
+
+// Per-day rows (local time) plus a total over the whole range.
+// `contract` is { download, upload } in Mbps, either may be null.
+function summarizeDays(records, contract = { download: null, upload: null }) {
+  const days = new Map();
+  for (const record of records) {
+    const key = dayKey(new Date(record.time));
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(record);
+  }
+
+  return {
+    days: [...days.keys()].sort().map(key => aggregate(key, days.get(key), contract)),
+    total: aggregate('total', records, contract)
+  };
+}
+
+module.exports = {
+  RECORD_COLUMNS,
+  SUMMARY_COLUMNS,
+  toRow,
+  toCsv,
+  summarizeDays
+};
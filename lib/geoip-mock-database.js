@@ -0,0 +1,64 @@
+// MaxMind database stand-in for offline testing
+// Builds a minimal IPv4 .mmdb in which every address maps to the same record,
+// so the GeoIP location provider can be exercised without a real database.
+
+// Search tree of a single node whose records both point at the first data
+// entry: node count (1) + data section separator (16) + offset (0)
+const NODE_COUNT = 1;
+const RECORD_SIZE = 24;
+const DATA_POINTER = NODE_COUNT + 16;
+
+const METADATA_START = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+
+// Control byte(s) for `type` and a size below 29
+function control(type, size) {
+  return type <= 7 ? Buffer.from([(type << 5) | size]) : Buffer.from([size, type - 7]);
+}
+
+// Encode strings, numbers (uint32 or double), arrays and maps in the MaxMind
+// DB data format
+function encode(value) {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([control(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32BE(value);
+      return Buffer.concat([control(6, 4), bytes]);
+    }
+    const bytes = Buffer.alloc(8);
+    bytes.writeDoubleBE(value);
+    return Buffer.concat([control(3, 8), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([control(11, value.length), ...value.map(encode)]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([control(7, entries.length), ...entries.flatMap(([key, item]) => [encode(key), encode(item)])]);
+}
+
+// Database contents for `record`, e.g. { location: { latitude, longitude,
+// accuracy_radius } }
+function createMockGeoipDatabase(record) {
+  const tree = Buffer.alloc((NODE_COUNT * RECORD_SIZE * 2) / 8);
+  tree.writeUIntBE(DATA_POINTER, 0, 3);
+  tree.writeUIntBE(DATA_POINTER, 3, 3);
+
+  const metadata = encode({
+    node_count: NODE_COUNT,
+    record_size: RECORD_SIZE,
+    ip_version: 4,
+    database_type: 'GeoLite2-City-Mock',
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: Math.floor(Date.now() / 1000),
+    description: { en: 'Local GeoIP stand-in' }
+  });
+
+  return Buffer.concat([tree, Buffer.alloc(16), encode(record), METADATA_START, metadata]);
+}
+
+module.exports = { createMockGeoipDatabase };
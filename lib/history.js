@@ -0,0 +1,117 @@
+// Measurement history
+// Append-only JSON-lines store of every run plus summary statistics.
+const fs = require('fs');
+const path = require('path');
+
+function createHistory(file) {
+  // Append one run; the file and its directory are created on first use
+  function append(record) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  }
+
+  // Read runs with `since <= time < until`, oldest first. Lines that do not
+  // parse (e.g. a partial write during a crash) are skipped.
+  function read({ since = null, until = null } = {}) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const time = Date.parse(record.time);
+      if (since !== null && time < since) continue;
+      if (until !== null && time >= until) continue;
+      records.push(record);
+    }
+    return records.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  }
+
+  return { file, append, read };
+}
+
+// Linear-interpolated percentile of an ascending array, p in [0, 1]
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ISO 8601 week, e.g. 2025-W07
+function weekKey(date) {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${pad(week)}`;
+}
+
+function distribution(values) {
+  const sorted = values.filter((value) => typeof value === 'number' && Number.isFinite(value))
+    .sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    median: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9)
+  };
+}
+
+// Median and p10/p90 of download, upload and latency per day or week.
+// Only complete runs count; partial or failed ones are tallied separately.
+function summarize(records, period = 'day') {
+  const keyOf = period === 'week' ? weekKey : dayKey;
+  const groups = new Map();
+
+  for (const record of records) {
+    const key = keyOf(new Date(record.time));
+    if (!groups.has(key)) {
+      groups.set(key, { complete: [], other: 0 });
+    }
+    const group = groups.get(key);
+    if (record.status === 'complete') {
+      group.complete.push(record);
+    } else {
+      group.other++;
+    }
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, group]) => ({
+      period: key,
+      runs: group.complete.length + group.other,
+      complete: group.complete.length,
+      download: distribution(group.complete.map((record) => record.downloadMbps)),
+      upload: distribution(group.complete.map((record) => record.uploadMbps)),
+      latency: distribution(group.complete.map((record) => record.latencyMs))
+    }));
+}
+
+module.exports = {
+  createHistory,
+  percentile,
+  dayKey,
+  summarize
+};
@@ -0,0 +1,215 @@
+// HTTP client
+// One place for API requests: per-endpoint timeouts, typed errors that carry
+// the server's response body, and retries with exponential backoff.
+const fetch = require('node-fetch');
+
+const DEFAULT_TIMEOUT = 30000;
+
+const DEFAULT_RETRY = {
+  attempts: 3,
+  baseDelay: 1000,
+  maxDelay: 10000
+};
+
+// Error bodies are kept up to this many characters
+const MAX_BODY_LENGTH = 2000;
+
+// Connection errors raised before anything was sent, so even a request that
+// is not idempotent can safely be repeated
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+// Base class of every request failure. `endpoint` names the API call
+// (profile, points, locate); `status` and `body` are set when the server
+// answered.
+class HttpError extends Error {
+  constructor(message, { endpoint, status = null, body = null, code = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.endpoint = endpoint;
+    this.status = status;
+    this.body = body;
+    this.code = code;
+  }
+}
+
+// No response: DNS failure, connection refused or reset, TLS error
+class NetworkError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// No complete response within the endpoint's timeout
+class TimeoutError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+// The server answered with a non-2xx status
+class HttpStatusError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpStatusError';
+  }
+}
+
+// 401 or 403: the credentials were refused
+class AuthError extends HttpStatusError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// A 2xx response whose body is not the expected JSON
+class MalformedBodyError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MalformedBodyError';
+  }
+}
+
+function truncate(text) {
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}…` : text;
+}
+
+// Error bodies as parsed JSON when they are JSON, else as (shortened) text
+function parseErrorBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text ? truncate(text) : null;
+  }
+}
+
+// The server's own explanation, if the body has one
+function bodyMessage(body) {
+  if (body && typeof body === 'object') {
+    const message = body.message || body.error;
+    return typeof message === 'string' ? message : null;
+  }
+  return null;
+}
+
+// Retry-After in ms, for the delta-seconds form only
+function retryAfter(header) {
+  const seconds = Number(header);
+  return header && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// Map a node-fetch failure onto NetworkError or TimeoutError
+function requestError(endpoint, error, timeout) {
+  if (error.type === 'request-timeout' || error.type === 'body-timeout') {
+    return new TimeoutError(`${endpoint} request timed out after ${timeout} ms`, { endpoint });
+  }
+  return new NetworkError(`${endpoint} request failed: ${error.message}`, { endpoint, code: error.code || null });
+}
+
+// Whether `error` is worth another attempt. Requests that are not idempotent
+// are only repeated when the server cannot have acted on them.
+function isRetryable(error, idempotent) {
+  if (error instanceof AuthError) return false;
+  if (error instanceof HttpStatusError) {
+    if (error.status === 429) return true;
+    return idempotent && error.status >= 500;
+  }
+  if (error instanceof TimeoutError) return idempotent;
+  if (error instanceof NetworkError) return idempotent || NOT_SENT_CODES.has(error.code);
+  return false;
+}
+
+// Delay before retry number `attempt` (1-based): exponential backoff with
+// the upper half jittered, or the server's Retry-After, capped at maxDelay
+function retryDelay(attempt, policy, after = null, random = Math.random) {
+  if (after !== null) {
+    return Math.min(policy.maxDelay, after);
+  }
+  const base = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(base / 2 + random() * (base / 2));
+}
+
+// `timeouts` maps endpoint names to ms, falling back to `timeouts.http`.
+// `retry` is { attempts, baseDelay, maxDelay }. `onResponse({ endpoint,
+// status })` is called for every response and `onRetry({ endpoint,
+// attempt, attempts, delay, error })` before every repeat.
+function createHttpClient({ fetch: fetchImpl = fetch, timeouts = {}, retry = {}, onResponse, onRetry } = {}) {
+  const policy = { ...DEFAULT_RETRY, ...retry };
+
+  const timeoutFor = (endpoint) => timeouts[endpoint] || timeouts.http || DEFAULT_TIMEOUT;
+
+  async function send(endpoint, url, { method, headers, body, agent, json }) {
+    const timeout = timeoutFor(endpoint);
+    let response;
+    let text;
+    try {
+      response = await fetchImpl(url, { method, headers, body, agent, timeout });
+      if (onResponse) {
+        onResponse({ endpoint, status: response.status });
+      }
+      text = await response.text();
+    } catch (error) {
+      throw requestError(endpoint, error, timeout);
+    }
+
+    const { status } = response;
+    if (!response.ok) {
+      const details = { endpoint, status, body: parseErrorBody(text) };
+      const explanation = bodyMessage(details.body);
+      const message = `${endpoint} request failed: HTTP ${status}${explanation ? ` (${explanation})` : ''}`;
+      const error = status === 401 || status === 403
+        ? new AuthError(message, details)
+        : new HttpStatusError(message, details);
+      error.retryAfter = retryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    if (!json) {
+      return { status, body: text };
+    }
+    try {
+      return { status, body: JSON.parse(text) };
+    } catch {
+      throw new MalformedBodyError(`${endpoint} response is not JSON`, { endpoint, status, body: truncate(text) });
+    }
+  }
+
+  // Resolves with { status, body }, the body parsed as JSON unless `json` is
+  // false. GET and HEAD count as idempotent unless `idempotent` says
+  // otherwise. Rejects with an HttpError once retrying is pointless.
+  async function request(endpoint, url, { method = 'GET', headers, body, agent, json = true, idempotent } = {}) {
+    const safe = idempotent === undefined ? method === 'GET' || method === 'HEAD' : idempotent;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(endpoint, url, { method, headers, body, agent, json });
+      } catch (error) {
+        if (attempt >= policy.attempts || !isRetryable(error, safe)) {
+          throw error;
+        }
+        const after = typeof error.retryAfter === 'number' ? error.retryAfter : null;
+        const delay = retryDelay(attempt, policy, after);
+        if (onRetry) {
+          onRetry({ endpoint, attempt, attempts: policy.attempts, delay, error });
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return { request, timeoutFor };
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  HttpStatusError,
+  AuthError,
+  MalformedBodyError,
+  isRetryable,
+  retryDelay,
+  createHttpClient
+};
@@ -0,0 +1,76 @@
+// M-Lab locate v2 client
+// https://www.measurementlab.net/develop/locate-v2/
+const { createHttpClient } = require('./http');
+
+const LOCATE_PATH = '/v2/nearest/ndt/ndt7';
+
+function pickUrl(urls, path) {
+  return urls[`wss:///${path}`] || urls[`ws:///${path}`] || null;
+}
+
+// Turn one locate result into a candidate with its own tokenized URLs
+function toCandidate(result) {
+  if (!result || !result.machine || !result.urls) {
+    return null;
+  }
+  const downloadUrl = pickUrl(result.urls, 'ndt/v7/download');
+  const uploadUrl = pickUrl(result.urls, 'ndt/v7/upload');
+  if (!downloadUrl || !uploadUrl) {
+    return null;
+  }
+
+  const location = result.location || {};
+  return {
+    machine: result.machine,
+    city: location.city || null,
+    country: location.country || null,
+    downloadUrl,
+    uploadUrl
+  };
+}
+
+// Ask the locate API for nearby ndt7 servers, nearest first. `http` is a
+// client from createHttpClient; its `locate` timeout applies.
+async function locateServers({ baseUrl, metadata = {}, agent, http = createHttpClient() }) {
+  const locateUrl = new URL(LOCATE_PATH, baseUrl);
+  locateUrl.search = new URLSearchParams(metadata).toString();
+
+  const { body: data } = await http.request('locate', locateUrl.toString(), { agent });
+  const candidates = (data && Array.isArray(data.results) ? data.results : [])
+    .map(toCandidate)
+    .filter(Boolean);
+
+  if (candidates.length === 0) {
+    throw new Error('No available speed test server');
+  }
+  return candidates;
+}
+
+// Run `test` against each candidate in turn until one succeeds. `test`
+// resolves to an object whose `error` is set when the server should be
+// skipped. Every attempt is recorded with the machine it used.
+async function withFailover(candidates, test, onFailover) {
+  const attempts = [];
+  for (const server of candidates) {
+    const result = await test(server);
+    attempts.push({ machine: server.machine, error: result.error || null });
+    if (!result.error) {
+      return { server, result, attempts };
+    }
+    if (onFailover) {
+      onFailover(server, result.error);
+    }
+  }
+
+  const last = attempts[attempts.length - 1];
+  const error = new Error(`All ${attempts.length} speed test servers failed (last: ${last ? last.error : 'none'})`);
+  error.attempts = attempts;
+  throw error;
+}
+
+module.exports = {
+  LOCATE_PATH,
+  toCandidate,
+  locateServers,
+  withFailover
+};
@@ -0,0 +1,109 @@
+// Test location provider
+// Reports either the coordinates configured for this machine or the ones an
+// offline GeoIP database (MaxMind .mmdb) gives for the public IP the ndt7
+// server saw. Never invents a location: no trustworthy source means null.
+const fs = require('fs');
+const net = require('net');
+const { Reader } = require('mmdb-lib');
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+function round(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+// Parse "latitude,longitude"; returns null if either part is out of range
+function parseCoordinates(text) {
+  const parts = String(text).split(',').map((part) => part.trim());
+  if (parts.length !== 2 || parts.some((part) => part === '')) {
+    return null;
+  }
+  const latitude = Number(parts[0]);
+  const longitude = Number(parts[1]);
+  if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// IP from "ip", "ip:port" or "[ipv6]:port"; IPv4-mapped IPv6 addresses
+// (::ffff:a.b.c.d, as seen on dual-stack sockets) come back as IPv4
+function ipFromAddress(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  let ip = address;
+  if (bracketed) {
+    ip = bracketed[1];
+  } else if (!net.isIP(address)) {
+    ip = address.replace(/:\d+$/, '');
+  }
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    ip = mapped[1];
+  }
+  return net.isIP(ip) ? ip : null;
+}
+
+// Extract the client IP from an ndt7 ConnectionInfo.Client
+function clientIpFromConnectionInfo(connectionInfo) {
+  return ipFromAddress(connectionInfo && connectionInfo.Client);
+}
+
+function createLocationProvider({ latitude, longitude, geoipDatabase, maxAccuracyRadius = 100 } = {}) {
+  const configured = latitude !== null && latitude !== undefined
+    ? parseCoordinates(`${latitude},${longitude}`)
+    : null;
+  if (latitude !== null && latitude !== undefined && !configured) {
+    throw new Error(`Invalid configured location: ${latitude}, ${longitude}`);
+  }
+
+  let reader = null;
+  const openDatabase = () => {
+    if (!reader) {
+      reader = new Reader(fs.readFileSync(geoipDatabase));
+    }
+    return reader;
+  };
+
+  // Resolve the location for a run; `clientIp` is the address the
+  // measurement server saw. Returns null when no trustworthy location exists.
+  function resolve(clientIp) {
+    if (configured) {
+      return { ...configured, source: 'config' };
+    }
+    if (!geoipDatabase || !clientIp) {
+      return null;
+    }
+
+    const record = openDatabase().get(clientIp);
+    const location = record && record.location;
+    if (!location || !isCoordinate(location.latitude, 90) || !isCoordinate(location.longitude, 180)) {
+      return null;
+    }
+    // Country-level fallbacks come with huge radii and are not a location
+    if (typeof location.accuracy_radius === 'number' && location.accuracy_radius > maxAccuracyRadius) {
+      return null;
+    }
+
+    return {
+      latitude: round(location.latitude),
+      longitude: round(location.longitude),
+      source: 'geoip',
+      ip: clientIp,
+      accuracyRadius: location.accuracy_radius === undefined ? null : location.accuracy_radius
+    };
+  }
+
+  return { resolve };
+}
+
+module.exports = {
+  parseCoordinates,
+  ipFromAddress,
+  clientIpFromConnectionInfo,
+  createLocationProvider
+};
@@ -0,0 +1,147 @@
+// Leveled logger
+// Pretty (coloured) or JSON-lines console output, optional rotating JSON-lines
+// log file, a correlation context merged into every entry, and redaction of
+// bearer tokens, JWTs, proxy credentials and registered secrets.
+const fs = require('fs');
+const kleur = require('kleur');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Console methods: level and pretty-print icon/colour
+const methods = {
+  debug: { level: 'debug', icon: '·', color: 'gray' },
+  info: { level: 'info', icon: 'ℹ', color: 'blue' },
+  success: { level: 'info', icon: '✔', color: 'green' },
+  warning: { level: 'warn', icon: '⚠', color: 'yellow' },
+  error: { level: 'error', icon: '✖', color: 'red' },
+  speed: { level: 'info', icon: '↯', color: 'cyan' },
+  time: { level: 'info', icon: '⏰', color: 'magenta' },
+  location: { level: 'info', icon: '📍', color: 'yellow' },
+  network: { level: 'info', icon: '🌐', color: 'blue' }
+};
+
+const REDACTED = '[REDACTED]';
+
+const patterns = [
+  // Authorization header values
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, `$1${REDACTED}`],
+  // JWTs anywhere in a string
+  [/eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED],
+  // user:pass@ in URLs (proxy credentials)
+  [/([a-z][a-z0-9+.-]*:\/\/)[^\s/@:]+(:[^\s/@]*)?@/gi, `$1${REDACTED}@`],
+  // Tokenized M-Lab URLs
+  [/(access_token=)[^&\s"]+/gi, `$1${REDACTED}`]
+];
+
+function createLogger(options = {}) {
+  const settings = {
+    level: 'info',
+    format: 'pretty',
+    file: null,
+    maxSize: 10 * 1024 * 1024,
+    maxFiles: 5,
+    ...options
+  };
+  const secrets = new Set();
+  let context = {};
+
+  const redact = (text) => {
+    let result = String(text);
+    for (const secret of secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of patterns) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  };
+
+  // Keep the log file below maxSize by shifting file -> file.1 -> file.2 ...
+  const rotate = (incoming) => {
+    let size;
+    try {
+      size = fs.statSync(settings.file).size;
+    } catch {
+      return;
+    }
+    if (size + incoming <= settings.maxSize) {
+      return;
+    }
+    for (let i = settings.maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? settings.file : `${settings.file}.${i - 1}`;
+      try {
+        fs.renameSync(from, `${settings.file}.${i}`);
+      } catch {
+        // Older generation missing, nothing to shift
+      }
+    }
+    if (settings.maxFiles <= 1) {
+      fs.truncateSync(settings.file, 0);
+    }
+  };
+
+  const writeFile = (line) => {
+    try {
+      rotate(Buffer.byteLength(line));
+      fs.appendFileSync(settings.file, line);
+    } catch (error) {
+      settings.file = null;
+      console.error(`Log file disabled: ${error.message}`);
+    }
+  };
+
+  const log = (name, msg, fields) => {
+    const method = methods[name];
+    if (LEVELS[method.level] < LEVELS[settings.level]) {
+      return;
+    }
+
+    const text = redact(msg);
+    const time = new Date();
+    const entry = {
+      time: time.toISOString(),
+      level: method.level,
+      msg: text.trim(),
+      ...context,
+      ...(fields ? JSON.parse(redact(JSON.stringify(fields))) : {})
+    };
+    const json = JSON.stringify(entry);
+
+    if (settings.format === 'json') {
+      console.log(json);
+    } else {
+      const stamp = kleur.gray(time.toLocaleTimeString());
+      console.log(stamp, kleur[method.color](method.icon), kleur.white(text));
+    }
+    if (settings.file) {
+      writeFile(`${json}\n`);
+    }
+  };
+
+  const logger = {
+    // Change level, format or file at runtime
+    configure: (changes) => Object.assign(settings, changes),
+    // Fields merged into every entry until cleared, e.g. the ndt7 session id
+    setContext: (fields) => {
+      context = { ...fields };
+    },
+    clearContext: () => {
+      context = {};
+    },
+    addSecret: (secret) => {
+      if (secret) secrets.add(String(secret));
+    },
+    redact,
+    isLevelEnabled: (level) => LEVELS[level] >= LEVELS[settings.level]
+  };
+  for (const name of Object.keys(methods)) {
+    logger[name] = (msg, fields) => log(name, msg, fields);
+  }
+  return logger;
+}
+
+module.exports = {
+  LEVELS,
+  REDACTED,
+  createLogger
+};
@@ -0,0 +1,59 @@
+// Prometheus metrics
+// Minimal counter/gauge registry rendered in the text exposition format.
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  const keys = Object.keys(labels).sort();
+  if (keys.length === 0) return '';
+  return `{${keys.map((key) => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function createMetrics(prefix = 'despeed_') {
+  const families = new Map();
+
+  const define = (type, name, help) => {
+    const fullName = `${prefix}${name}`;
+    if (!families.has(fullName)) {
+      families.set(fullName, { type, help, values: new Map() });
+    }
+    return families.get(fullName);
+  };
+
+  const counter = (name, help) => {
+    const family = define('counter', name, help);
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = labelKey(labels);
+        family.values.set(key, (family.values.get(key) || 0) + value);
+      }
+    };
+  };
+
+  const gauge = (name, help) => {
+    const family = define('gauge', name, help);
+    return {
+      set: (labels, value) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        family.values.set(labelKey(labels), value);
+      }
+    };
+  };
+
+  const render = () => {
+    const lines = [];
+    for (const [name, family] of families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      for (const [key, value] of family.values) {
+        lines.push(`${name}${key} ${value}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  };
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,197 @@
+// Local ndt7 server stand-in for offline testing
+// Speaks net.measurementlab.ndt.v7 on /ndt/v7/download and /ndt/v7/upload and
+// streams AppInfo/TCPInfo/BBRInfo measurements like the M-Lab servers do. It
+// also answers the locate v2 nearest query, so it can stand in for both.
+const http = require('http');
+const crypto = require('crypto');
+const net = require('net');
+const WebSocket = require('ws');
+const { SUBPROTOCOL } = require('./ndt7');
+const { LOCATE_PATH } = require('./locate');
+
+const defaults = {
+  host: '127.0.0.1',
+  port: 0,
+  duration: 10000,
+  measurementInterval: 250,
+  messageSize: 1 << 13,
+  minRTT: 10000,
+  rtt: 12000,
+  rttVar: 2000,
+  // { test: 'download'|'upload', after: ms, type: 'drop'|'corrupt' } breaks
+  // that subtest mid-stream: 'drop' resets the TCP connection, 'corrupt'
+  // writes an invalid WebSocket frame
+  fault: null
+};
+
+function createMeasurement(test, start, stats, options, connection) {
+  const elapsedTime = Number((process.hrtime.bigint() - start) / 1000n);
+  const bw = elapsedTime > 0 ? Math.round((stats.bytes * 1e6) / elapsedTime) : 0;
+
+  return JSON.stringify({
+    AppInfo: { NumBytes: stats.bytes, ElapsedTime: elapsedTime },
+    ConnectionInfo: connection || undefined,
+    Origin: 'server',
+    Test: test,
+    TCPInfo: {
+      State: 1,
+      RTT: options.rtt,
+      RTTVar: options.rttVar,
+      MinRTT: options.minRTT,
+      BytesAcked: test === 'download' ? stats.bytes : 0,
+      BytesReceived: test === 'upload' ? stats.bytes : 0,
+      BytesSent: test === 'download' ? stats.bytes : 0,
+      BytesRetrans: 0,
+      ElapsedTime: elapsedTime
+    },
+    BBRInfo: {
+      BW: bw,
+      MinRTT: options.minRTT,
+      PacingGain: 256,
+      CwndGain: 512,
+      ElapsedTime: elapsedTime
+    }
+  });
+}
+
+// "ip:port", with IPv6 addresses in brackets
+function hostPort(host, port) {
+  return `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+}
+
+function handleTest(ws, req, test, options) {
+  const start = process.hrtime.bigint();
+  const stats = { bytes: 0 };
+  // Like the M-Lab servers, only the first measurement carries ConnectionInfo
+  let connection = {
+    Client: hostPort(req.socket.remoteAddress, req.socket.remotePort),
+    Server: hostPort(req.socket.localAddress, req.socket.localPort),
+    UUID: crypto.randomUUID()
+  };
+  const payload = crypto.randomBytes(options.messageSize);
+  let sending = test === 'download';
+
+  const send = () => {
+    if (!sending || ws.readyState !== WebSocket.OPEN) return;
+    // Keep a small amount queued so the socket never idles
+    for (let i = 0; i < 16 && ws.bufferedAmount < options.messageSize * 16; i++) {
+      ws.send(payload);
+      stats.bytes += payload.length;
+    }
+    setImmediate(send);
+  };
+
+  const sendMeasurement = () => {
+    ws.send(createMeasurement(test, start, stats, options, connection));
+    connection = null;
+  };
+
+  const measure = setInterval(() => {
+    if (ws.readyState === WebSocket.OPEN) {
+      sendMeasurement();
+    }
+  }, options.measurementInterval);
+
+  const stop = setTimeout(() => {
+    sending = false;
+    if (ws.readyState === WebSocket.OPEN) {
+      sendMeasurement();
+      ws.close(1000);
+    }
+  }, options.duration);
+
+  const fault = options.fault && options.fault.test === test
+    ? setTimeout(() => {
+      sending = false;
+      if (options.fault.type === 'corrupt') {
+        // Reserved opcode 0xF, which the client must reject
+        ws._socket.write(Buffer.from([0x8f, 0x00]));
+      } else {
+        ws._socket.resetAndDestroy();
+      }
+    }, options.fault.after)
+    : null;
+
+  ws.on('message', (data) => {
+    if (test === 'upload') {
+      stats.bytes += data.length;
+    }
+  });
+
+  ws.on('close', () => {
+    sending = false;
+    clearInterval(measure);
+    clearTimeout(stop);
+    clearTimeout(fault);
+  });
+
+  ws.on('error', () => {});
+  send();
+}
+
+// Locate v2 response pointing at this server; `locateResults` entries are
+// placed in front of it, so failover to this machine can be exercised
+function locateResponse(base, options) {
+  const self = {
+    machine: 'mlab-mock-local',
+    location: { city: 'Localhost', country: 'ZZ' },
+    urls: {
+      'ws:///ndt/v7/download': `${base}/ndt/v7/download?access_token=mock`,
+      'ws:///ndt/v7/upload': `${base}/ndt/v7/upload?access_token=mock`
+    }
+  };
+  return { results: [...(options.locateResults || []), self] };
+}
+
+// Start a mock server; resolves with its base URLs and a close() function
+function startMockNdt7Server(overrides = {}) {
+  const options = { ...defaults, ...overrides };
+  let base = null;
+  const server = http.createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (path === LOCATE_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(locateResponse(base, options)));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  const wss = new WebSocket.Server({
+    server,
+    handleProtocols: (protocols) => (protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false)
+  });
+
+  wss.on('connection', (ws, req) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (path === '/ndt/v7/download') {
+      handleTest(ws, req, 'download', options);
+    } else if (path === '/ndt/v7/upload') {
+      handleTest(ws, req, 'upload', options);
+    } else {
+      ws.close(1008);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      const { port } = server.address();
+      base = `ws://${hostPort(options.host, port)}`;
+      resolve({
+        port,
+        locateUrl: `http://${hostPort(options.host, port)}`,
+        downloadUrl: `${base}/ndt/v7/download`,
+        uploadUrl: `${base}/ndt/v7/upload`,
+        close: () => new Promise((done) => {
+          for (const client of wss.clients) {
+            client.terminate();
+          }
+          wss.close(() => server.close(() => done()));
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startMockNdt7Server };
@@ -0,0 +1,438 @@
+// ndt7 client
+// Implements the client side of the net.measurementlab.ndt.v7 protocol:
+// https://github.com/m-lab/ndt-server/blob/main/spec/ndt7-protocol.md
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+const SUBPROTOCOL = 'net.measurementlab.ndt.v7';
+
+// Messages larger than 2^24 bytes are a protocol violation
+const MAX_MESSAGE_SIZE = 1 << 24;
+
+// A test is expected to last ~10 s; anything past 15 s is aborted by the client
+const DEFAULT_DURATION = 10000;
+const DEFAULT_TIMEOUT = 15000;
+
+// Parallel connections per subtest (`options.streams`), at most
+const MAX_STREAMS = 16;
+
+// Upload messages start at 8 KiB and double each time the bytes sent reach
+// UPLOAD_SCALING_FACTOR times the current size, up to UPLOAD_MAX_MESSAGE_SIZE
+const UPLOAD_MIN_MESSAGE_SIZE = 1 << 13;
+const UPLOAD_MAX_MESSAGE_SIZE = 1 << 23;
+const UPLOAD_SCALING_FACTOR = 16;
+
+// Number of messages kept queued in the send buffer
+const UPLOAD_QUEUE_DEPTH = 7;
+
+/**
+ * @typedef {Object} Ndt7Measurement
+ * @property {string} origin - "server" or "client"
+ * @property {string|null} test - "download" or "upload"
+ * @property {{NumBytes: number, ElapsedTime: number}|null} AppInfo
+ * @property {Object|null} TCPInfo - kernel TCP_INFO fields (times in µs)
+ * @property {Object|null} BBRInfo - BBR bandwidth/RTT estimates
+ * @property {Object|null} ConnectionInfo - client/server addresses and UUID
+ */
+
+/**
+ * @typedef {Object} Ndt7Result
+ * @property {string} test - "download" or "upload"
+ * @property {number} mbps - throughput used for reporting
+ * @property {number} clientMbps - throughput seen by the client
+ * @property {number|null} serverMbps - throughput seen by the server, when known
+ * @property {number} numBytes - application bytes moved, counted by the client
+ * @property {number} elapsed - test duration in ms
+ * @property {number} measurements - number of server measurement messages
+ * @property {Ndt7Measurement|null} serverMeasurement - last server measurement
+ * @property {Object|null} connectionInfo - ConnectionInfo of the first server
+ *   measurement that carried one; servers send it only once per connection
+ * @property {string|null} uuid - server-side connection UUID (of the first
+ *   stream)
+ * @property {string[]} uuids - UUIDs of all streams
+ * @property {number} streams - parallel connections the result adds up
+ * @property {number} duration - test window in ms the client aimed for
+ * @property {string|null} remoteAddress - IP the WebSocket connected to (the
+ *   proxy when `options.agent` is one)
+ * @property {number|null} minRtt - minimum RTT seen by the server, in ms
+ * @property {number|null} rtt - mean smoothed RTT over the test, in ms
+ * @property {number|null} jitter - mean RTT variation between samples, in ms
+ * @property {number|null} retransmissionRate - retransmitted / sent bytes
+ *   (server-sent direction only, so null for upload)
+ * @property {boolean} timedOut - the client aborted after the safety timeout
+ * @property {number|null} closeCode - WebSocket close code
+ * @property {string|null} error - error message, if the test failed or was
+ *   aborted through `options.signal`
+ */
+
+function pick(obj, key) {
+  return obj && typeof obj[key] === 'object' && obj[key] !== null ? obj[key] : null;
+}
+
+// Parse a text message into a measurement, or return null if it is not one
+function parseMeasurement(text, origin = 'server') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return null;
+  }
+
+  const appInfo = pick(data, 'AppInfo');
+  return {
+    origin: typeof data.Origin === 'string' ? data.Origin : origin,
+    test: typeof data.Test === 'string' ? data.Test : null,
+    AppInfo: appInfo ? {
+      NumBytes: Number(appInfo.NumBytes) || 0,
+      ElapsedTime: Number(appInfo.ElapsedTime) || 0
+    } : null,
+    TCPInfo: pick(data, 'TCPInfo'),
+    BBRInfo: pick(data, 'BBRInfo'),
+    ConnectionInfo: pick(data, 'ConnectionInfo')
+  };
+}
+
+// Bytes over microseconds to megabits per second
+function toMbps(bytes, elapsedMicros) {
+  return elapsedMicros > 0 ? (bytes * 8) / elapsedMicros : 0;
+}
+
+// Throughput as measured by the server for the given test
+function serverMbps(test, measurement) {
+  if (!measurement) return null;
+  const tcp = measurement.TCPInfo;
+  if (tcp && tcp.ElapsedTime > 0) {
+    const bytes = test === 'upload' ? tcp.BytesReceived : tcp.BytesAcked;
+    if (typeof bytes === 'number') {
+      return toMbps(bytes, tcp.ElapsedTime);
+    }
+  }
+  if (measurement.AppInfo && measurement.AppInfo.ElapsedTime > 0) {
+    return toMbps(measurement.AppInfo.NumBytes, measurement.AppInfo.ElapsedTime);
+  }
+  return null;
+}
+
+// Latency, jitter and retransmission figures from the server's TCPInfo samples
+function lineQuality(test, samples) {
+  const quality = { minRtt: null, rtt: null, jitter: null, retransmissionRate: null };
+  const rtts = samples.filter((tcp) => tcp.RTT > 0);
+  if (rtts.length === 0) {
+    return quality;
+  }
+
+  const last = samples[samples.length - 1];
+  const minRtts = samples.map((tcp) => tcp.MinRTT).filter((rtt) => rtt > 0);
+  quality.minRtt = minRtts.length ? Math.min(...minRtts) / 1000 : null;
+  quality.rtt = rtts.reduce((sum, tcp) => sum + tcp.RTT, 0) / rtts.length / 1000;
+
+  // Mean absolute difference between consecutive RTT samples; with a single
+  // sample fall back to the kernel's own RTT variance estimate
+  if (rtts.length > 1) {
+    let delta = 0;
+    for (let i = 1; i < rtts.length; i++) {
+      delta += Math.abs(rtts[i].RTT - rtts[i - 1].RTT);
+    }
+    quality.jitter = delta / (rtts.length - 1) / 1000;
+  } else if (typeof last.RTTVar === 'number') {
+    quality.jitter = last.RTTVar / 1000;
+  }
+
+  // Retransmissions are only visible on the sending side, which for the
+  // upload test is the client
+  if (test === 'download' && last.BytesSent > 0) {
+    quality.retransmissionRate = (last.BytesRetrans || 0) / last.BytesSent;
+  }
+  return quality;
+}
+
+function runTest(test, url, options = {}) {
+  const {
+    agent,
+    duration = DEFAULT_DURATION,
+    // How long the server lets a download run before ending it itself
+    serverDuration = DEFAULT_DURATION,
+    timeout = DEFAULT_TIMEOUT,
+    signal,
+    onMeasurement,
+    family,
+    WebSocket: WebSocketImpl = WebSocket
+  } = options;
+
+  return new Promise((resolve) => {
+    const result = {
+      test,
+      mbps: 0,
+      clientMbps: 0,
+      serverMbps: null,
+      numBytes: 0,
+      elapsed: 0,
+      measurements: 0,
+      serverMeasurement: null,
+      connectionInfo: null,
+      uuid: null,
+      uuids: [],
+      streams: 1,
+      duration,
+      remoteAddress: null,
+      minRtt: null,
+      rtt: null,
+      jitter: null,
+      retransmissionRate: null,
+      timedOut: false,
+      closeCode: null,
+      error: null
+    };
+
+    if (signal && signal.aborted) {
+      result.error = 'aborted';
+      resolve(result);
+      return;
+    }
+
+    let ws;
+    try {
+      ws = new WebSocketImpl(url, SUBPROTOCOL, {
+        agent,
+        family,
+        maxPayload: MAX_MESSAGE_SIZE,
+        handshakeTimeout: timeout
+      });
+    } catch (error) {
+      result.error = error.message;
+      resolve(result);
+      return;
+    }
+
+    let startTime = null;
+    let settled = false;
+    let stopTimer = null;
+    let payload = null;
+    const tcpSamples = [];
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(safetyTimer);
+      clearTimeout(stopTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (startTime !== null) {
+        result.elapsed = Date.now() - startTime;
+      }
+      // Upload bytes still sitting in the send buffer never reached the server
+      if (test === 'upload') {
+        result.numBytes = Math.max(0, result.numBytes - ws.bufferedAmount);
+      }
+      result.clientMbps = toMbps(result.numBytes, result.elapsed * 1000);
+      result.serverMbps = serverMbps(test, result.serverMeasurement);
+      // Download is measured where the bytes arrive (the client), upload on
+      // the server, falling back to the client count if the server was silent
+      result.mbps = test === 'upload' && result.serverMbps !== null
+        ? result.serverMbps
+        : result.clientMbps;
+      Object.assign(result, lineQuality(test, tcpSamples));
+      result.uuids = result.uuid ? [result.uuid] : [];
+      resolve(result);
+    };
+
+    const safetyTimer = setTimeout(() => {
+      result.timedOut = true;
+      if (test === 'download') {
+        // Partial downloads are still a valid lower bound
+        ws.close(1000);
+      } else {
+        ws.terminate();
+      }
+      finish();
+    }, timeout);
+
+    // Shutting down: drop the connection and report what was measured so far
+    const onAbort = () => {
+      result.error = 'aborted';
+      ws.terminate();
+      finish();
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    const stopUpload = () => {
+      if (ws.readyState === WebSocketImpl.OPEN) {
+        ws.close(1000);
+      }
+    };
+
+    // Keep up to UPLOAD_QUEUE_DEPTH messages buffered and refill once the
+    // most recently queued one has been written to the socket
+    let lastSend = 0;
+    const pump = () => {
+      if (ws.readyState !== WebSocketImpl.OPEN) return;
+      if (Date.now() - startTime >= duration) {
+        stopUpload();
+        return;
+      }
+
+      const sent = result.numBytes - ws.bufferedAmount;
+      if (payload.length < UPLOAD_MAX_MESSAGE_SIZE && sent >= payload.length * UPLOAD_SCALING_FACTOR) {
+        payload = crypto.randomBytes(payload.length * 2);
+      }
+
+      for (let i = 0; i < UPLOAD_QUEUE_DEPTH; i++) {
+        if (ws.bufferedAmount >= payload.length * UPLOAD_QUEUE_DEPTH) break;
+        const id = ++lastSend;
+        ws.send(payload, { binary: true }, (error) => {
+          if (!error && id === lastSend) pump();
+        });
+        result.numBytes += payload.length;
+      }
+    };
+
+    ws.on('upgrade', (response) => {
+      result.remoteAddress = response.socket.remoteAddress || null;
+    });
+
+    ws.on('open', () => {
+      if (ws.protocol !== SUBPROTOCOL) {
+        result.error = `Server did not negotiate ${SUBPROTOCOL}`;
+        ws.close(1002);
+        finish();
+        return;
+      }
+      startTime = Date.now();
+      if (test === 'upload') {
+        payload = crypto.randomBytes(UPLOAD_MIN_MESSAGE_SIZE);
+        stopTimer = setTimeout(stopUpload, duration);
+        pump();
+      } else if (duration < serverDuration) {
+        // The server ends a full-length download; stop it ourselves only when
+        // a shorter window is configured
+        stopTimer = setTimeout(() => ws.close(1000), duration);
+      }
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (test === 'download') {
+        // The spec counts both binary and text messages towards the total
+        result.numBytes += data.length;
+      }
+      if (isBinary) {
+        return;
+      }
+
+      const measurement = parseMeasurement(data.toString());
+      if (!measurement) {
+        return;
+      }
+      result.measurements++;
+      result.serverMeasurement = measurement;
+      if (measurement.TCPInfo) {
+        tcpSamples.push(measurement.TCPInfo);
+      }
+      if (measurement.ConnectionInfo && !result.connectionInfo) {
+        result.connectionInfo = measurement.ConnectionInfo;
+        result.uuid = measurement.ConnectionInfo.UUID || null;
+      }
+      if (onMeasurement) {
+        onMeasurement(measurement);
+      }
+    });
+
+    ws.on('close', (code) => {
+      result.closeCode = code;
+      // 1006: the connection was lost without a closing handshake
+      if (code === 1006 && !result.error) {
+        result.error = 'Connection closed abnormally';
+      }
+      finish();
+    });
+
+    ws.on('error', (error) => {
+      result.error = error.message;
+      finish();
+    });
+  });
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length ? sum(values) / values.length : null;
+}
+
+// Merge the results of parallel streams of one subtest: throughput and bytes
+// add up, line quality is averaged, and any failed stream fails the whole
+function combineResults(results) {
+  const [first] = results;
+  const numbers = (key) => results.map((result) => result[key]).filter((value) => typeof value === 'number');
+  const failed = results.findIndex((result) => result.error);
+  const minRtts = numbers('minRtt');
+  const serverMbpsValues = results.map((result) => result.serverMbps);
+
+  return {
+    ...first,
+    mbps: sum(numbers('mbps')),
+    clientMbps: sum(numbers('clientMbps')),
+    serverMbps: serverMbpsValues.includes(null) ? null : sum(serverMbpsValues),
+    numBytes: sum(numbers('numBytes')),
+    elapsed: Math.max(...numbers('elapsed')),
+    measurements: sum(numbers('measurements')),
+    uuids: results.map((result) => result.uuid).filter(Boolean),
+    streams: results.length,
+    minRtt: minRtts.length ? Math.min(...minRtts) : null,
+    rtt: mean(numbers('rtt')),
+    jitter: mean(numbers('jitter')),
+    retransmissionRate: mean(numbers('retransmissionRate')),
+    timedOut: results.some((result) => result.timedOut),
+    closeCode: failed === -1 ? first.closeCode : results[failed].closeCode,
+    error: failed === -1 ? null : `stream ${failed + 1}/${results.length}: ${results[failed].error}`
+  };
+}
+
+// Run `options.streams` (default 1) connections of a subtest side by side.
+// `onMeasurement(measurement, stream)` gets the 0-based stream index.
+async function runStreams(test, url, options = {}) {
+  const { streams = 1, onMeasurement, ...rest } = options;
+  if (!Number.isInteger(streams) || streams < 1 || streams > MAX_STREAMS) {
+    throw new RangeError(`streams must be an integer from 1 to ${MAX_STREAMS}`);
+  }
+
+  const results = await Promise.all(Array.from({ length: streams }, (_, stream) => runTest(test, url, {
+    ...rest,
+    onMeasurement: onMeasurement && ((measurement) => onMeasurement(measurement, stream))
+  })));
+  return streams === 1 ? results[0] : combineResults(results);
+}
+
+// Run the download subtest against a tokenized ndt7 download URL
+function download(url, options) {
+  return runStreams('download', url, options);
+}
+
+// Run the upload subtest against a tokenized ndt7 upload URL
+function upload(url, options) {
+  return runStreams('upload', url, options);
+}
+
+module.exports = {
+  SUBPROTOCOL,
+  MAX_MESSAGE_SIZE,
+  DEFAULT_DURATION,
+  DEFAULT_TIMEOUT,
+  MAX_STREAMS,
+  UPLOAD_MIN_MESSAGE_SIZE,
+  UPLOAD_MAX_MESSAGE_SIZE,
+  parseMeasurement,
+  lineQuality,
+  toMbps,
+  combineResults,
+  download,
+  upload
+};
@@ -0,0 +1,205 @@
+// Cycle scheduler
+// Runs a task at a fixed rate or on a cron schedule, never overlapping runs,
+// and stops by aborting and awaiting the run in flight.
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let low;
+    let high;
+    if (range === '*') {
+      low = field.min;
+      high = field.max;
+    } else if (/^\d+-\d+$/.test(range)) {
+      [low, high] = range.split('-').map(Number);
+    } else if (/^\d+$/.test(range)) {
+      low = Number(range);
+      high = stepText === undefined ? low : field.max;
+    } else {
+      throw new Error(`invalid ${field.name} "${part}"`);
+    }
+    if (low < field.min || high > field.max || low > high) {
+      throw new Error(`${field.name} "${part}" out of range ${field.min}-${field.max}`);
+    }
+
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parse a 5-field cron expression (minute hour day-of-month month
+// day-of-week) or one of @hourly, @daily, @weekly, @monthly
+function parseCron(expression) {
+  const text = CRON_MACROS[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // Sunday may be written as 0 or 7
+  if (weekday.has(7)) {
+    weekday.add(0);
+  }
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    // Standard cron: if both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const day = cron.day.has(date.getDate());
+  const weekday = cron.weekday.has(date.getDay());
+  return cron.anyDay ? day || weekday : day && weekday;
+}
+
+// First time strictly after `after` that matches `cron`, in local time
+function nextCronTime(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Five years covers every valid expression, including Feb 29
+  const limit = after.getTime() + 5 * 366 * 86400000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error('cron expression never matches');
+}
+
+// `task(signal)` is run once on start and then on schedule. `interval` is a
+// fixed rate in ms measured from the first start, so run time does not cause
+// drift; slots missed while a run was still going are skipped. `cron`, if
+// given, replaces `interval`.
+function createScheduler({ task, interval, cron, onSchedule, onError }) {
+  const cronSchedule = cron ? parseCron(cron) : null;
+  let anchor = null;
+  let timer = null;
+  let nextAt = null;
+  let controller = null;
+  let running = null;
+  let stopped = false;
+
+  const nextTime = (now) => {
+    if (cronSchedule) {
+      return nextCronTime(cronSchedule, new Date(now)).getTime();
+    }
+    const slots = Math.floor((now - anchor) / interval) + 1;
+    return anchor + slots * interval;
+  };
+
+  const arm = () => {
+    const delay = Math.min(nextAt - Date.now(), MAX_TIMEOUT);
+    timer = setTimeout(() => {
+      if (Date.now() < nextAt) {
+        arm();
+      } else {
+        launch();
+      }
+    }, Math.max(0, delay));
+  };
+
+  const schedule = () => {
+    if (stopped) return;
+    nextAt = nextTime(Date.now());
+    if (onSchedule) onSchedule(new Date(nextAt));
+    arm();
+  };
+
+  const run = async () => {
+    timer = null;
+    nextAt = null;
+    if (anchor === null) {
+      anchor = Date.now();
+    }
+    controller = new AbortController();
+    running = Promise.resolve()
+      .then(() => task(controller.signal))
+      .catch((error) => {
+        if (onError) onError(error);
+      });
+    await running;
+    running = null;
+    controller = null;
+    schedule();
+  };
+
+  // Failures outside the task itself, such as working out the next cron
+  // time, go to onError as well instead of becoming unhandled rejections
+  const launch = () => {
+    run().catch((error) => {
+      if (onError) onError(error);
+    });
+  };
+
+  return {
+    start: () => {
+      stopped = false;
+      launch();
+    },
+    // Cancel the next run, abort the one in flight and wait for it to end
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      nextAt = null;
+      if (controller) {
+        controller.abort();
+      }
+      if (running) {
+        await running;
+      }
+    },
+    isRunning: () => running !== null,
+    nextRun: () => (nextAt === null ? null : new Date(nextAt))
+  };
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  createScheduler
+};
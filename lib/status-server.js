@@ -0,0 +1,44 @@
+// Local status endpoint
+// GET /healthz, /status (JSON) and /metrics (Prometheus text format).
+const http = require('http');
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+// Start the server; `getStatus` returns the /status document, `metrics` is
+// a registry from lib/metrics. Resolves with the listening http.Server.
+function startStatusServer({ host, port, getStatus, metrics }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(res, 405, 'text/plain', 'Method Not Allowed\n');
+      return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    try {
+      if (path === '/healthz') {
+        send(res, 200, 'text/plain', 'ok\n');
+      } else if (path === '/status') {
+        send(res, 200, 'application/json', `${JSON.stringify(getStatus(), null, 2)}\n`);
+      } else if (path === '/metrics') {
+        send(res, 200, 'text/plain; version=0.0.4', metrics.render());
+      } else {
+        send(res, 404, 'text/plain', 'Not Found\n');
+      }
+    } catch (error) {
+      send(res, 500, 'text/plain', `${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startStatusServer };
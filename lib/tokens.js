@@ -0,0 +1,102 @@
+// Token store
+// Tokens from the token file with their JWT expiry, the expiry warnings
+// already given and the tokens the API refused. State is kept per token, so
+// it survives reloading the file.
+const fs = require('fs');
+const { tokenExpiry } = require('./client');
+
+const HOUR = 3600000;
+
+// Non-empty lines that are not # comments
+function parseTokens(content) {
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Coarse duration such as "2d 4h", "3h 12m" or "45m"
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+// `warnings` are lead times in hours before expiry at which to warn
+function createTokenStore({ file, warnings = [] }) {
+  const leadTimes = [...warnings].map(hours => hours * HOUR).sort((a, b) => b - a);
+  let entries = [];
+
+  // Re-read the file. Throws if it cannot be read or holds no tokens, in
+  // which case the current tokens stay in use.
+  function load() {
+    const tokens = parseTokens(fs.readFileSync(file, 'utf8'));
+    if (tokens.length === 0) {
+      throw new Error(`No valid tokens found in ${file}`);
+    }
+
+    const known = new Map(entries.map(entry => [entry.token, entry]));
+    entries = tokens.map(token => known.get(token) || {
+      token,
+      expiresAt: tokenExpiry(token),
+      invalid: null,
+      warned: new Set()
+    });
+
+    const added = entries.filter(entry => !known.has(entry.token));
+    return {
+      total: entries.length,
+      added,
+      removed: known.size - (entries.length - added.length)
+    };
+  }
+
+  const find = (token) => entries.find(entry => entry.token === token) || null;
+
+  // Remember that the API refused `token`; it is skipped until it is
+  // removed from or replaced in the file
+  function markInvalid(token, reason) {
+    const entry = find(token);
+    if (entry && !entry.invalid) {
+      entry.invalid = { reason, since: new Date().toISOString() };
+    }
+  }
+
+  function invalidReason(token) {
+    const entry = find(token);
+    return entry && entry.invalid ? entry.invalid.reason : null;
+  }
+
+  // Tokens that crossed a warning lead time (or expired) since the last
+  // call, each reported once per lead time
+  function dueWarnings(now = Date.now()) {
+    const due = [];
+    entries.forEach((entry, index) => {
+      if (!entry.expiresAt || entry.invalid) return;
+      const remaining = entry.expiresAt.getTime() - now;
+      const crossed = [...leadTimes, 0].filter(lead => remaining <= lead && !entry.warned.has(lead));
+      if (crossed.length === 0) return;
+      crossed.forEach(lead => entry.warned.add(lead));
+      due.push({ account: index + 1, entry, remaining });
+    });
+    return due;
+  }
+
+  return {
+    file,
+    load,
+    list: () => entries,
+    tokens: () => entries.map(entry => entry.token),
+    markInvalid,
+    invalidReason,
+    dueWarnings
+  };
+}
+
+module.exports = {
+  parseTokens,
+  formatDuration,
+  createTokenStore
+};
@@ -0,0 +1,85 @@
+// Measurement validation
+// Decides whether a speed test run is good enough to be reported.
+const COMPLETE = 'complete';
+const PARTIAL = 'partial';
+const FAILED = 'failed';
+
+const defaults = {
+  // Subtests shorter than this share of the expected duration are partial
+  minDurationRatio: 0.8,
+  expectedDuration: 10000,
+  // Anything above this is treated as garbage rather than a fast line
+  maxMbps: 100000
+};
+
+const rank = { [COMPLETE]: 0, [PARTIAL]: 1, [FAILED]: 2 };
+
+// `code` is stable and meant for counting, `message` for humans
+function reason(code, message) {
+  return { code, message };
+}
+
+// Classify one ndt7 subtest result
+function classifySubtest(result, options) {
+  if (!result) {
+    return { status: FAILED, reasons: [reason('no-measurement', 'no measurement')] };
+  }
+
+  const name = result.test;
+  if (result.error) {
+    return { status: FAILED, reasons: [reason('error', `${name}: ${result.error}`)] };
+  }
+  if (result.numBytes <= 0) {
+    return { status: FAILED, reasons: [reason('no-data', `${name}: no data transferred`)] };
+  }
+  if (!Number.isFinite(result.mbps) || result.mbps <= 0) {
+    return { status: FAILED, reasons: [reason('no-throughput', `${name}: no throughput`)] };
+  }
+  if (result.mbps > options.maxMbps) {
+    return {
+      status: FAILED,
+      reasons: [reason('implausible', `${name}: implausible throughput ${result.mbps.toFixed(2)} Mbps`)]
+    };
+  }
+
+  const reasons = [];
+  if (result.timedOut) {
+    reasons.push(reason('timeout', `${name}: aborted after safety timeout`));
+  }
+  const minDuration = options.expectedDuration * options.minDurationRatio;
+  if (result.elapsed < minDuration) {
+    reasons.push(reason('short', `${name}: ran ${(result.elapsed / 1000).toFixed(1)}s, expected at least ${(minDuration / 1000).toFixed(1)}s`));
+  }
+  if (!result.serverMeasurement) {
+    reasons.push(reason('no-server-measurement', `${name}: no measurement from server`));
+  }
+
+  return { status: reasons.length ? PARTIAL : COMPLETE, reasons };
+}
+
+// Classify a whole run from its download and upload results. Only complete
+// runs should be reported.
+function classifyRun({ download, upload }, overrides = {}) {
+  const options = { ...defaults, ...overrides };
+  const checks = [classifySubtest(download, options), classifySubtest(upload, options)];
+
+  const status = checks.reduce(
+    (worst, check) => (rank[check.status] > rank[worst] ? check.status : worst),
+    COMPLETE
+  );
+  const seen = new Set();
+  const reasons = checks.flatMap((check) => check.reasons).filter((item) => {
+    if (seen.has(item.message)) return false;
+    seen.add(item.message);
+    return true;
+  });
+
+  return { status, reasons };
+}
+
+module.exports = {
+  COMPLETE,
+  PARTIAL,
+  FAILED,
+  classifyRun
+};
@@ -0,0 +1,143 @@
+// Alert rules: firing, recovery, de-duplication and the webhook payload
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkRules, createAlertRules, sendWebhook } = require('../lib/alerts');
+const { startMockDeSpeedApi, json } = require('../lib/despeed-mock-api');
+
+const MINUTE = 60000;
+
+function run(fields) {
+  return {
+    account: 1,
+    status: 'complete',
+    report: 'submitted',
+    downloadMbps: 100,
+    uploadMbps: 20,
+    latencyMs: 10,
+    jitterMs: 1,
+    ...fields
+  };
+}
+
+// Feed runs a minute apart and collect the statuses of all events
+function feed(alerts, runs, start = 0) {
+  return runs.flatMap((fields, i) => alerts.observe(run(fields), start + i * MINUTE))
+    .map((event) => (event.suppressed ? 'suppressed' : event.status));
+}
+
+test('fires after the configured number of consecutive matches, once', () => {
+  const alerts = createAlertRules([{ metric: 'download', below: 50, for: 3 }]);
+  const slow = { downloadMbps: 20 };
+
+  assert.deepStrictEqual(feed(alerts, [slow, slow, {}, slow, slow]), []);
+  const [event] = alerts.observe(run(slow));
+  assert.strictEqual(event.status, 'firing');
+  assert.strictEqual(event.rule, 'download-below-50');
+  assert.strictEqual(event.message, 'download 20.00 Mbps below 50 Mbps for 3 consecutive runs (account 1)');
+  assert.deepStrictEqual(alerts.active().map((alert) => alert.rule), ['download-below-50']);
+
+  // Still firing: no repeats
+  assert.deepStrictEqual(feed(alerts, [slow, slow]), []);
+});
+
+test('tracks IPv4 and IPv6 runs of an account separately', () => {
+  const alerts = createAlertRules([{ metric: 'download', below: 50, for: 2 }]);
+  const slow6 = { family: 'ipv6', downloadMbps: 20 };
+  const fast4 = { family: 'ipv4' };
+
+  const events = [fast4, slow6, fast4, slow6]
+    .flatMap((fields, i) => alerts.observe(run(fields), i * MINUTE));
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].family, 'ipv6');
+  assert.strictEqual(events[0].message, 'download 20.00 Mbps below 50 Mbps for 2 consecutive runs (account 1, IPv6)');
+  assert.deepStrictEqual(alerts.active(), [{ rule: 'download-below-50', account: 1, family: 'ipv6', since: events[0].time }]);
+});
+
+test('resolves after the configured number of clean runs', () => {
+  const alerts = createAlertRules([{ name: 'laggy', metric: 'latency', above: 40, recoverAfter: 2 }]);
+
+  assert.deepStrictEqual(feed(alerts, [{ latencyMs: 80 }, {}, { latencyMs: 90 }, {}, {}]), ['firing', 'resolved']);
+  assert.deepStrictEqual(alerts.active(), []);
+});
+
+test('keeps state per account', () => {
+  const alerts = createAlertRules([{ metric: 'upload', below: 10, for: 2 }]);
+
+  alerts.observe(run({ account: 1, uploadMbps: 5 }));
+  alerts.observe(run({ account: 2, uploadMbps: 5 }));
+  assert.strictEqual(alerts.observe(run({ account: 1, uploadMbps: 5 })).length, 1);
+  assert.strictEqual(alerts.observe(run({ account: 2, uploadMbps: 50 })).length, 0);
+});
+
+test('suppresses a flapping rule within the cooldown', () => {
+  const alerts = createAlertRules([{ metric: 'download', below: 50 }], { cooldown: 30 * MINUTE });
+  const slow = { downloadMbps: 1 };
+
+  // Alert, recovery, then a re-fire 2 minutes later that is not sent and
+  // whose recovery is not announced either
+  assert.deepStrictEqual(feed(alerts, [slow, {}, slow, {}]), ['firing', 'resolved', 'suppressed']);
+  // After the cooldown it alerts again
+  assert.deepStrictEqual(feed(alerts, [slow], 31 * MINUTE), ['firing']);
+});
+
+test('alerts on an outage that outlasts the cooldown right after a flap', () => {
+  const alerts = createAlertRules([{ metric: 'download', below: 50 }], { cooldown: 30 * MINUTE });
+  const slow = { downloadMbps: 1 };
+  const outage = Array.from({ length: 10 * 60 }, () => slow);
+
+  // The re-fire at 2 minutes is suppressed; once the cooldown has run out the
+  // still-ongoing outage is sent, and only once
+  const events = [slow, {}, ...outage].flatMap((fields, i) => alerts.observe(run(fields), i * MINUTE));
+  assert.deepStrictEqual(events.map((event) => (event.suppressed ? 'suppressed' : event.status)), ['firing', 'resolved', 'suppressed', 'firing']);
+  assert.strictEqual(events[3].time, new Date(30 * MINUTE).toISOString());
+  assert.strictEqual(alerts.active().length, 1);
+});
+
+test('ignores failed measurements and runs without a report attempt', () => {
+  const alerts = createAlertRules([
+    { metric: 'download', below: 50 },
+    { metric: 'report-failure', for: 2 }
+  ]);
+
+  assert.deepStrictEqual(feed(alerts, [
+    { status: 'failed', downloadMbps: 0, report: 'skipped' },
+    { report: 'failed' },
+    { report: 'dry-run' },
+    { report: 'error' }
+  ]), ['firing']);
+  assert.deepStrictEqual(alerts.active().map((alert) => alert.rule), ['report-failure']);
+});
+
+test('rejects rules without a usable threshold', () => {
+  assert.deepStrictEqual(checkRules([
+    { metric: 'download', below: 10 },
+    { metric: 'latency' },
+    { metric: 'jitter', below: 1, above: 5 },
+    { metric: 'report-failure', above: 1 },
+    { below: 3 }
+  ]), [
+    'alerts.rules[1]: needs exactly one of below or above',
+    'alerts.rules[2]: needs exactly one of below or above',
+    'alerts.rules[3]: report-failure takes no below/above',
+    'alerts.rules[4].metric: is required'
+  ]);
+});
+
+test('posts a Slack-compatible payload to the webhook', async () => {
+  const receiver = await startMockDeSpeedApi();
+  try {
+    receiver.handle('/hook', json(200, { ok: true }));
+    const [event] = createAlertRules([{ metric: 'report-failure' }]).observe(run({ report: 'failed' }));
+    await sendWebhook(`${receiver.url}/hook`, event);
+
+    const body = JSON.parse(receiver.requests[0].body);
+    assert.strictEqual(body.text, '🔴 DeSpeed alert: report-failure: report failed for 1 consecutive runs (account 1)');
+    assert.strictEqual(body.status, 'firing');
+    assert.strictEqual(body.account, 1);
+
+    receiver.handle('/hook', json(500, {}));
+    await assert.rejects(sendWebhook(`${receiver.url}/hook`, event), /Webhook responded 500/);
+  } finally {
+    await receiver.close();
+  }
+});
@@ -0,0 +1,76 @@
+// Export rows, CSV encoding and the per-day summary
+const test = require('node:test');
+const assert = require('node:assert');
+const { RECORD_COLUMNS, SUMMARY_COLUMNS, toRow, toCsv, summarizeDays } = require('../lib/export');
+
+function record(time, fields) {
+  return {
+    time,
+    session: 'session-1',
+    account: 1,
+    server: 'mlab1-fra01',
+    downloadMbps: 100,
+    uploadMbps: 20,
+    latencyMs: 10,
+    status: 'complete',
+    reasons: [],
+    report: 'submitted',
+    ...fields
+  };
+}
+
+test('maps history records to export rows', () => {
+  const row = toRow(record('2026-10-01T08:00:00.000Z', { reasons: ['short', 'timeout'] }));
+
+  assert.deepStrictEqual(Object.keys(row), RECORD_COLUMNS.map(([column]) => column));
+  assert.strictEqual(row.client_session_id, 'session-1');
+  assert.strictEqual(row.server, 'mlab1-fra01');
+  assert.strictEqual(row.reasons, 'short;timeout');
+  // Not recorded by older versions
+  assert.strictEqual(row.download_uuid, null);
+});
+
+test('quotes CSV fields that need it', () => {
+  const csv = toCsv([
+    { a: 'plain', b: 1.5 },
+    { a: 'with, comma', b: null },
+    { a: 'say "hi"\nbye', b: 0 }
+  ], ['a', 'b']);
+
+  assert.strictEqual(csv, 'a,b\r\nplain,1.5\r\n"with, comma",\r\n"say ""hi""\nbye",0\r\n');
+});
+
+test('summarizes complete runs per local day against the contract', () => {
+  const day = (hour) => new Date(2026, 9, 1, hour).toISOString();
+  const next = (hour) => new Date(2026, 9, 2, hour).toISOString();
+  const summary = summarizeDays([
+    record(next(9), { downloadMbps: 120 }),
+    record(day(8), { downloadMbps: 40, uploadMbps: 10 }),
+    record(day(12), { downloadMbps: 80, uploadMbps: 30 }),
+    record(day(16), { downloadMbps: 1, status: 'partial' })
+  ], { download: 100, upload: null });
+
+  assert.deepStrictEqual(Object.keys(summary.total), SUMMARY_COLUMNS);
+  assert.deepStrictEqual(summary.days.map((row) => row.day), ['2026-10-01', '2026-10-02']);
+  assert.deepStrictEqual(summary.days[0], {
+    day: '2026-10-01',
+    runs: 3,
+    complete: 2,
+    avg_download_mbps: 60,
+    avg_upload_mbps: 20,
+    avg_latency_ms: 10,
+    min_download_mbps: 40,
+    pct_below_contract_download: 100,
+    pct_below_contract_upload: null
+  });
+  assert.strictEqual(summary.total.runs, 4);
+  assert.strictEqual(summary.total.pct_below_contract_download, 66.7);
+});
+
+test('leaves averages empty for days without complete runs', () => {
+  const { days } = summarizeDays([record('2026-10-01T08:00:00.000Z', { status: 'failed', downloadMbps: 0 })]);
+
+  assert.strictEqual(days[0].complete, 0);
+  assert.strictEqual(days[0].avg_download_mbps, null);
+  assert.strictEqual(days[0].min_download_mbps, null);
+});
@@ -0,0 +1,164 @@
+// HTTP client: typed errors, captured bodies and the retry policy
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  NetworkError,
+  TimeoutError,
+  HttpStatusError,
+  AuthError,
+  MalformedBodyError,
+  isRetryable,
+  retryDelay,
+  createHttpClient
+} = require('../lib/http');
+const { startMockDeSpeedApi, json, text, hang, sequence } = require('../lib/despeed-mock-api');
+
+const FAST_RETRY = { attempts: 3, baseDelay: 10, maxDelay: 20 };
+
+let api;
+
+function client(options = {}) {
+  const retries = [];
+  const http = createHttpClient({
+    timeouts: { http: 1000 },
+    retry: FAST_RETRY,
+    onRetry: (event) => retries.push(event),
+    ...options
+  });
+  return { http, retries };
+}
+
+function requestsTo(pathname) {
+  return api.requests.filter((request) => request.path === pathname);
+}
+
+test.before(async () => {
+  api = await startMockDeSpeedApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.afterEach(() => {
+  api.reset();
+});
+
+test('resolves with the parsed JSON body', async () => {
+  api.handle('/ok', json(200, { success: true }));
+  const { http } = client();
+
+  assert.deepStrictEqual(await http.request('points', `${api.url}/ok`), { status: 200, body: { success: true } });
+});
+
+test('rejects refused credentials with an AuthError and keeps the body', async () => {
+  api.handle('/auth', json(401, { message: 'Token expired' }));
+  const { http, retries } = client();
+
+  await assert.rejects(http.request('profile', `${api.url}/auth`), (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.ok(error instanceof HttpStatusError);
+    assert.strictEqual(error.status, 401);
+    assert.deepStrictEqual(error.body, { message: 'Token expired' });
+    assert.strictEqual(error.message, 'profile request failed: HTTP 401 (Token expired)');
+    return true;
+  });
+  assert.strictEqual(retries.length, 0);
+});
+
+test('retries a GET after server errors, backing off each time', async () => {
+  api.handle('/flaky', sequence(text(502, '<html>Bad Gateway</html>'), json(503, {}), json(200, { ok: true })));
+  const { http, retries } = client();
+  const { body } = await http.request('profile', `${api.url}/flaky`);
+
+  assert.deepStrictEqual(body, { ok: true });
+  assert.deepStrictEqual(retries.map((retry) => retry.attempt), [1, 2]);
+  assert.strictEqual(retries[0].error.body, '<html>Bad Gateway</html>');
+  assert.ok(retries.every((retry) => retry.delay <= FAST_RETRY.maxDelay));
+});
+
+test('gives up after the configured attempts', async () => {
+  api.handle('/down', json(500, { error: 'down' }));
+  const { http } = client();
+
+  await assert.rejects(http.request('locate', `${api.url}/down`), HttpStatusError);
+  assert.strictEqual(requestsTo('/down').length, FAST_RETRY.attempts);
+});
+
+test('does not repeat a POST the server may have acted on', async () => {
+  api.handle('/points', json(500, { message: 'Internal Server Error' }));
+  const { http } = client();
+
+  await assert.rejects(http.request('points', `${api.url}/points`, { method: 'POST', body: '{}' }), HttpStatusError);
+  assert.strictEqual(requestsTo('/points').length, 1);
+});
+
+test('repeats a POST after 429, honouring Retry-After', async () => {
+  const limited = (req, res) => {
+    res.writeHead(429, { 'Retry-After': '0' });
+    res.end();
+  };
+  api.handle('/points', sequence(limited, json(200, { success: true })));
+  const { http, retries } = client();
+  const { body } = await http.request('points', `${api.url}/points`, { method: 'POST', body: '{}' });
+
+  assert.deepStrictEqual(body, { success: true });
+  assert.strictEqual(retries[0].delay, 0);
+});
+
+test('rejects a 2xx body that is not JSON with a MalformedBodyError', async () => {
+  api.handle('/html', text(200, '<html>maintenance</html>'));
+  const { http } = client();
+
+  await assert.rejects(http.request('profile', `${api.url}/html`), (error) => {
+    assert.ok(error instanceof MalformedBodyError);
+    assert.strictEqual(error.body, '<html>maintenance</html>');
+    return true;
+  });
+  const { body } = await http.request('profile', `${api.url}/html`, { json: false });
+  assert.strictEqual(body, '<html>maintenance</html>');
+});
+
+test('applies per-endpoint timeouts', async () => {
+  api.handle('/slow', hang());
+  const { http } = client({ timeouts: { http: 5000, points: 200 } });
+  const started = Date.now();
+
+  await assert.rejects(http.request('points', `${api.url}/slow`, { method: 'POST', body: '{}' }), TimeoutError);
+  assert.ok(Date.now() - started < 2000);
+  assert.strictEqual(http.timeoutFor('profile'), 5000);
+});
+
+test('reports refused connections as network errors, retrying even a POST', async () => {
+  const { http, retries } = client();
+
+  await assert.rejects(http.request('points', 'http://127.0.0.1:9/points', { method: 'POST', body: '{}' }), (error) => {
+    assert.ok(error instanceof NetworkError);
+    assert.strictEqual(error.code, 'ECONNREFUSED');
+    return true;
+  });
+  assert.strictEqual(retries.length, FAST_RETRY.attempts - 1);
+});
+
+test('decides what to retry from the error and idempotency', () => {
+  const status = (code) => new HttpStatusError('failed', { status: code });
+  const timeout = new TimeoutError('timed out');
+
+  assert.strictEqual(isRetryable(status(503), true), true);
+  assert.strictEqual(isRetryable(status(503), false), false);
+  assert.strictEqual(isRetryable(status(404), true), false);
+  assert.strictEqual(isRetryable(new AuthError('refused', { status: 403 }), true), false);
+  assert.strictEqual(isRetryable(timeout, true), true);
+  assert.strictEqual(isRetryable(timeout, false), false);
+  assert.strictEqual(isRetryable(new NetworkError('reset', { code: 'ECONNRESET' }), false), false);
+});
+
+test('backs off exponentially with jitter up to maxDelay', () => {
+  const policy = { baseDelay: 1000, maxDelay: 5000 };
+
+  assert.strictEqual(retryDelay(1, policy, null, () => 0), 500);
+  assert.strictEqual(retryDelay(1, policy, null, () => 1), 1000);
+  assert.strictEqual(retryDelay(3, policy, null, () => 1), 4000);
+  assert.strictEqual(retryDelay(5, policy, null, () => 1), 5000);
+  assert.strictEqual(retryDelay(1, policy, 30000), 5000);
+});
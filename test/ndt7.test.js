@@ -0,0 +1,97 @@
+// ndt7 client: test window and parallel streams against the local stand-in
+const test = require('node:test');
+const assert = require('node:assert');
+const ndt7 = require('../lib/ndt7');
+const { startMockNdt7Server } = require('../lib/ndt7-mock-server');
+
+function stream(fields) {
+  return {
+    test: 'download',
+    mbps: 100,
+    clientMbps: 100,
+    serverMbps: 90,
+    numBytes: 1000,
+    elapsed: 1000,
+    measurements: 5,
+    uuid: 'uuid',
+    minRtt: 10,
+    rtt: 12,
+    jitter: 1,
+    retransmissionRate: 0.01,
+    timedOut: false,
+    closeCode: 1000,
+    error: null,
+    ...fields
+  };
+}
+
+test('adds up throughput of parallel streams and averages line quality', () => {
+  const result = ndt7.combineResults([
+    stream({ uuid: 'a', minRtt: 12, jitter: 1 }),
+    stream({ uuid: 'b', mbps: 50, serverMbps: null, elapsed: 1100, minRtt: 8, jitter: 3 })
+  ]);
+
+  assert.strictEqual(result.streams, 2);
+  assert.strictEqual(result.mbps, 150);
+  assert.strictEqual(result.serverMbps, null);
+  assert.strictEqual(result.numBytes, 2000);
+  assert.strictEqual(result.elapsed, 1100);
+  assert.strictEqual(result.minRtt, 8);
+  assert.strictEqual(result.jitter, 2);
+  assert.strictEqual(result.uuid, 'a');
+  assert.deepStrictEqual(result.uuids, ['a', 'b']);
+  assert.strictEqual(result.error, null);
+});
+
+test('fails the combined result when any stream failed', () => {
+  const result = ndt7.combineResults([
+    stream(),
+    stream({ error: 'Connection closed abnormally', closeCode: 1006 })
+  ]);
+
+  assert.strictEqual(result.error, 'stream 2/2: Connection closed abnormally');
+  assert.strictEqual(result.closeCode, 1006);
+});
+
+test('runs several streams against one server', async (t) => {
+  const server = await startMockNdt7Server({ duration: 1000, measurementInterval: 100 });
+  t.after(() => server.close());
+
+  const download = await ndt7.download(server.downloadUrl, { streams: 3 });
+  const upload = await ndt7.upload(server.uploadUrl, { streams: 2, duration: 1000 });
+
+  assert.strictEqual(download.error, null);
+  assert.strictEqual(download.streams, 3);
+  assert.strictEqual(new Set(download.uuids).size, 3);
+  assert.ok(download.mbps > 0);
+  assert.strictEqual(upload.error, null);
+  assert.strictEqual(upload.streams, 2);
+  assert.strictEqual(upload.duration, 1000);
+});
+
+test('ends the download after the configured window', async (t) => {
+  const server = await startMockNdt7Server({ duration: 5000, measurementInterval: 100 });
+  t.after(() => server.close());
+
+  const download = await ndt7.download(server.downloadUrl, { duration: 1000 });
+
+  assert.strictEqual(download.error, null);
+  assert.strictEqual(download.timedOut, false);
+  assert.strictEqual(download.duration, 1000);
+  assert.ok(download.elapsed < 2000, `ran ${download.elapsed} ms`);
+});
+
+test('leaves ending a full-length download to the server', async (t) => {
+  const server = await startMockNdt7Server({ duration: 1500, measurementInterval: 100 });
+  t.after(() => server.close());
+
+  const download = await ndt7.download(server.downloadUrl, { duration: 1000, serverDuration: 1000 });
+
+  assert.strictEqual(download.error, null);
+  assert.strictEqual(download.timedOut, false);
+  assert.ok(download.elapsed >= 1400, `ran ${download.elapsed} ms`);
+});
+
+test('rejects a stream count out of range', async () => {
+  await assert.rejects(ndt7.download('ws://127.0.0.1:9', { streams: ndt7.MAX_STREAMS + 1 }), RangeError);
+});
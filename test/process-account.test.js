@@ -0,0 +1,384 @@
+// Integration tests for the per-account flow: token check, locate, ndt7
+// download/upload and reporting, all against local stand-ins.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cli = require('../cli');
+const { defaults } = require('../lib/config');
+const { startMockNdt7Server } = require('../lib/ndt7-mock-server');
+const { createMockGeoipDatabase } = require('../lib/geoip-mock-database');
+const {
+  PROFILE_PATH,
+  POINTS_PATH,
+  json,
+  text,
+  hang,
+  sequence,
+  startMockDeSpeedApi,
+  createToken
+} = require('../lib/despeed-mock-api');
+
+const LOCATION = { latitude: 52.52, longitude: 13.405 };
+
+let api;
+let ndt7Server = null;
+let tmpDir;
+
+// Configure the CLI against the stand-ins with one token. Subtests run for
+// about a second, so only a short share of the 10 s ndt7 duration is needed.
+async function setup({ token = createToken(), ndt7 = {}, settings = {} } = {}) {
+  ndt7Server = await startMockNdt7Server({ duration: 1000, measurementInterval: 100, ...ndt7 });
+
+  const tokenFile = path.join(tmpDir, 'token.txt');
+  fs.writeFileSync(tokenFile, `${token}\n`);
+  await cli.initConfig({
+    ...defaults,
+    baseUrl: api.url,
+    locateUrl: ndt7Server.locateUrl,
+    tokenFile,
+    nonInteractive: true,
+    timeouts: { http: 1000, ndt7: 5000 },
+    retry: { ...defaults.retry, baseDelay: 10, maxDelay: 20 },
+    proxy: { ...defaults.proxy, file: null },
+    location: { ...defaults.location, file: null, ...LOCATION },
+    validation: { ...defaults.validation, minDurationRatio: 0.05 },
+    history: { file: null },
+    logging: { ...defaults.logging, level: 'error', format: 'json', color: false },
+    ...settings
+  }, new Set());
+  return token;
+}
+
+function requestsTo(pathname) {
+  return api.requests.filter((request) => request.path === pathname);
+}
+
+async function runAccount(token) {
+  const before = cli.getStatus().lastRun;
+  const ok = await cli.processAccount(token, 0, new AbortController().signal);
+  const record = cli.getStatus().lastRun;
+  return { ok, record: record === before ? null : record };
+}
+
+test.before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'despeed-test-'));
+  api = await startMockDeSpeedApi();
+});
+
+test.after(async () => {
+  await api.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.afterEach(async () => {
+  api.reset();
+  if (ndt7Server) {
+    await ndt7Server.close();
+    ndt7Server = null;
+  }
+});
+
+test('submits a complete measurement', async () => {
+  const token = await setup();
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.status, 'complete');
+  assert.strictEqual(record.report, 'submitted');
+  assert.strictEqual(record.server, 'mlab-mock-local');
+  assert.strictEqual(record.serverIp, '127.0.0.1');
+  assert.strictEqual(record.family, 'ipv4');
+  assert.ok(Date.parse(record.endTime) >= Date.parse(record.time));
+  assert.ok(record.downloadUuid);
+  assert.ok(record.uploadUuid);
+
+  const [report] = requestsTo(POINTS_PATH);
+  assert.strictEqual(report.method, 'POST');
+  assert.strictEqual(report.headers.authorization, `Bearer ${token}`);
+  const body = JSON.parse(report.body);
+  assert.ok(body.download_speed > 0);
+  assert.ok(body.upload_speed > 0);
+  assert.strictEqual(body.latitude, LOCATION.latitude);
+  assert.strictEqual(body.longitude, LOCATION.longitude);
+});
+
+test('reports the GeoIP location of the client address the server saw', async () => {
+  const geoipDatabase = path.join(tmpDir, 'city.mmdb');
+  fs.writeFileSync(geoipDatabase, createMockGeoipDatabase({
+    location: { latitude: 48.137, longitude: 11.575, accuracy_radius: 20 }
+  }));
+  const token = await setup({
+    settings: { location: { ...defaults.location, file: null, geoipDatabase } }
+  });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.report, 'submitted');
+  const body = JSON.parse(requestsTo(POINTS_PATH)[0].body);
+  assert.strictEqual(body.latitude, 48.137);
+  assert.strictEqual(body.longitude, 11.575);
+});
+
+test('rejects an expired JWT without calling the API', async () => {
+  const token = await setup({ token: createToken(-60) });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record, null);
+  assert.strictEqual(api.requests.length, 0);
+});
+
+test('rejects a JWT expiring within 90 seconds', async () => {
+  const token = await setup({ token: createToken(30) });
+  const { ok } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(api.requests.length, 0);
+});
+
+test('stops on a 401 profile response', async () => {
+  const token = await setup();
+  api.handle(PROFILE_PATH, json(401, { message: 'Unauthorized' }));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record, null);
+  assert.strictEqual(requestsTo(PROFILE_PATH).length, 1);
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 0);
+});
+
+test('does not ask the API again about a refused token', async () => {
+  const token = await setup();
+  api.handle(PROFILE_PATH, json(401, { message: 'Unauthorized' }));
+  await runAccount(token);
+  const { ok } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(requestsTo(PROFILE_PATH).length, 1);
+  assert.strictEqual(cli.getStatus().tokens[0].invalid.reason, 'Token invalid');
+});
+
+test('checks the token again after a server error', async () => {
+  const token = await setup();
+  api.handle(PROFILE_PATH, json(500, { message: 'Internal Server Error' }));
+  await runAccount(token);
+  const { ok } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(requestsTo(PROFILE_PATH).length, 2 * defaults.retry.attempts);
+  assert.strictEqual(cli.getStatus().tokens[0].invalid, null);
+});
+
+test('retries a profile request after a transient server error', async () => {
+  const token = await setup();
+  api.handle(PROFILE_PATH, sequence(
+    json(503, { message: 'Service Unavailable' }),
+    json(200, { data: { username: 'tester' } })
+  ));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.report, 'submitted');
+  // Two validation attempts, then the account information
+  assert.strictEqual(requestsTo(PROFILE_PATH).length, 3);
+});
+
+test('does not repeat a report the API may have processed', async () => {
+  const token = await setup();
+  api.handle(POINTS_PATH, json(500, { message: 'Internal Server Error' }));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.report, 'failed');
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 1);
+});
+
+test('still measures when the profile body is not JSON', async () => {
+  const token = await setup();
+  api.handle(PROFILE_PATH, text(200, '<html>maintenance</html>'));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.report, 'submitted');
+});
+
+test('records a report with success: false as failed', async () => {
+  const token = await setup();
+  api.handle(POINTS_PATH, json(200, { success: false, message: 'Too many submissions' }));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.status, 'complete');
+  assert.strictEqual(record.report, 'failed');
+});
+
+test('records a non-JSON report response as failed', async () => {
+  const token = await setup();
+  api.handle(POINTS_PATH, text(502, '<html>Bad Gateway</html>'));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.report, 'failed');
+});
+
+test('records a 200 report response that is not JSON as failed', async () => {
+  const token = await setup();
+  api.handle(POINTS_PATH, text(200, 'OK', 'text/plain'));
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.report, 'failed');
+});
+
+test('records a report that times out as failed', async () => {
+  const token = await setup();
+  api.handle(POINTS_PATH, hang());
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.report, 'failed');
+});
+
+test('does not report when the locate API fails', async () => {
+  const token = await setup({ settings: { locateUrl: api.url } });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.status, 'failed');
+  assert.deepStrictEqual(record.reasons, ['no-measurement']);
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 0);
+});
+
+for (const type of ['corrupt', 'drop']) {
+  for (const subtest of ['download', 'upload']) {
+    test(`does not report when the ${subtest} WebSocket fails mid-test (${type})`, async () => {
+      const token = await setup({ ndt7: { fault: { test: subtest, after: 700, type } } });
+      const { ok, record } = await runAccount(token);
+
+      assert.strictEqual(ok, false);
+      assert.strictEqual(record.status, 'failed');
+      assert.strictEqual(record.server, null);
+      assert.strictEqual(requestsTo(POINTS_PATH).length, 0);
+    });
+  }
+}
+
+test('prints the report instead of sending it in dry-run mode', async () => {
+  const token = await setup({ settings: { mode: 'dry-run' } });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.status, 'complete');
+  assert.strictEqual(record.report, 'dry-run');
+  assert.strictEqual(requestsTo(PROFILE_PATH).length, 2);
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 0);
+});
+
+test('still rejects an expired token in dry-run mode', async () => {
+  const token = await setup({ token: createToken(-60), settings: { mode: 'dry-run' } });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record, null);
+});
+
+test('measures without a token or any API call in measure-only mode', async () => {
+  await setup({ settings: { mode: 'measure-only', tokenFile: path.join(tmpDir, 'missing.txt') } });
+  const { ok, record } = await runAccount(null);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.account, null);
+  assert.strictEqual(record.status, 'complete');
+  assert.strictEqual(record.report, 'measure-only');
+  assert.strictEqual(api.requests.length, 0);
+});
+
+test('posts an alert when a rule matches', async () => {
+  const token = await setup({
+    settings: {
+      alerts: {
+        webhook: `${api.url}/hook`,
+        cooldown: 0,
+        rules: [{ metric: 'report-failure' }]
+      }
+    }
+  });
+  api.handle('/hook', json(200, { ok: true }));
+  api.handle(POINTS_PATH, json(200, { success: false, message: 'Rejected' }));
+  await runAccount(token);
+
+  const [hook] = requestsTo('/hook');
+  assert.strictEqual(JSON.parse(hook.body).rule, 'report-failure');
+  assert.deepStrictEqual(cli.getStatus().alerts.map((alert) => alert.rule), ['report-failure']);
+});
+
+test('records the server address when measuring over IPv6', async () => {
+  const token = await setup({ ndt7: { host: '::1' }, settings: { ipFamily: 'ipv6' } });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.family, 'ipv6');
+  assert.strictEqual(record.serverIp, '::1');
+  assert.strictEqual(record.report, 'submitted');
+});
+
+test('measures each address family in its own run in both mode', async () => {
+  const token = await setup({ settings: { ipFamily: 'both' } });
+  const { ok, record } = await runAccount(token);
+
+  // The stand-in only listens on 127.0.0.1: the IPv4 run is reported, the
+  // IPv6 one finds no server reachable over IPv6
+  assert.strictEqual(ok, false);
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 1);
+  assert.strictEqual(record.family, 'ipv6');
+  assert.strictEqual(record.status, 'failed');
+  assert.strictEqual(record.serverIp, null);
+});
+
+test('records the stream count and test duration it measured with', async () => {
+  const token = await setup({
+    ndt7: { duration: 5000 },
+    settings: { ndt7: { duration: 1000, streams: 2 } }
+  });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.status, 'complete');
+  assert.strictEqual(record.streams, 2);
+  assert.strictEqual(record.testDurationMs, 1000);
+  assert.ok(Date.parse(record.endTime) - Date.parse(record.time) < 5000);
+});
+
+test('fails over to the next server when one is unreachable', async () => {
+  const dead = 'ws://127.0.0.1:9/ndt/v7';
+  const token = await setup({
+    ndt7: {
+      locateResults: [{
+        machine: 'mlab-dead',
+        urls: {
+          'ws:///ndt/v7/download': `${dead}/download`,
+          'ws:///ndt/v7/upload': `${dead}/upload`
+        }
+      }]
+    }
+  });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(record.server, 'mlab-mock-local');
+});
+
+test('does not report a subtest cut short by the safety timeout', async () => {
+  const token = await setup({
+    ndt7: { duration: 30000 },
+    settings: { timeouts: { http: 1000, ndt7: 1000 } }
+  });
+  const { ok, record } = await runAccount(token);
+
+  assert.strictEqual(ok, false);
+  assert.strictEqual(record.status, 'partial');
+  assert.ok(record.reasons.includes('timeout'));
+  assert.strictEqual(requestsTo(POINTS_PATH).length, 0);
+});
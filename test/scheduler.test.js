@@ -0,0 +1,62 @@
+// Cron parsing, next-run computation and scheduler error handling
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextCronTime, createScheduler } = require('../lib/scheduler');
+
+const at = (text) => new Date(`${text}:00`);
+
+test('parses lists, ranges, steps and macros', () => {
+  const cron = parseCron('0,30 9-17/4 * * 1-5');
+
+  assert.deepStrictEqual([...cron.minute], [0, 30]);
+  assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+  assert.strictEqual(cron.day.size, 31);
+  assert.strictEqual(cron.anyDay, false);
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  // Sunday as 7
+  assert.ok(parseCron('0 0 * * 7').weekday.has(0));
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute "60" out of range 0-59/);
+  assert.throws(() => parseCron('*/0 * * * *'), /invalid step "0" in minute/);
+  assert.throws(() => parseCron('a * * * *'), /invalid minute "a"/);
+});
+
+test('finds the next matching minute, strictly after the given time', () => {
+  const cron = parseCron('*/15 * * * *');
+
+  assert.deepStrictEqual(nextCronTime(cron, at('2026-10-19T10:07')), at('2026-10-19T10:15'));
+  assert.deepStrictEqual(nextCronTime(cron, at('2026-10-19T10:15')), at('2026-10-19T10:30'));
+  assert.deepStrictEqual(nextCronTime(cron, at('2026-10-19T23:50')), at('2026-10-20T00:00'));
+});
+
+test('crosses months and years and matches either restricted day field', () => {
+  assert.deepStrictEqual(nextCronTime(parseCron('0 0 29 2 *'), at('2026-10-19T10:00')), at('2028-02-29T00:00'));
+  // The 1st of the month or a Monday, whichever comes first
+  assert.deepStrictEqual(nextCronTime(parseCron('0 12 1 * 1'), at('2026-10-20T10:00')), at('2026-10-26T12:00'));
+});
+
+test('throws for an expression that never matches', () => {
+  assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), new Date()), /never matches/);
+});
+
+test('reports scheduling failures to onError instead of rejecting', async () => {
+  const errors = [];
+  let runs = 0;
+  const scheduler = createScheduler({
+    task: () => {
+      runs++;
+    },
+    cron: '0 0 31 2 *',
+    onError: (error) => errors.push(error.message)
+  });
+
+  scheduler.start();
+  await new Promise((resolve) => setImmediate(resolve));
+  await scheduler.stop();
+
+  assert.strictEqual(runs, 1);
+  assert.deepStrictEqual(errors, ['cron expression never matches']);
+});
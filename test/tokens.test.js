@@ -0,0 +1,96 @@
+// Token store: reloading, refused tokens and expiry warnings
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenStore, formatDuration } = require('../lib/tokens');
+const { createToken } = require('../lib/despeed-mock-api');
+
+const HOUR = 3600000;
+
+let tmpDir;
+
+test.before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'despeed-tokens-'));
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeTokens(name, tokens) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, `# accounts\n${tokens.join('\n')}\n\n`);
+  return file;
+}
+
+test('reads tokens and their expiry, skipping comments and blank lines', () => {
+  const token = createToken(2 * HOUR / 1000);
+  const store = createTokenStore({ file: writeTokens('read.txt', [token, 'opaque']) });
+  assert.deepStrictEqual(store.load(), { total: 2, added: store.list(), removed: 0 });
+
+  const [jwt, opaque] = store.list();
+  assert.ok(Math.abs(jwt.expiresAt.getTime() - (Date.now() + 2 * HOUR)) < 2000);
+  assert.strictEqual(opaque.expiresAt, null);
+});
+
+test('keeps refused tokens marked across reloads until they are replaced', () => {
+  const [a, b, c] = [createToken(3600), createToken(7200), createToken(10800)];
+  const file = writeTokens('reload.txt', [a, b]);
+  const store = createTokenStore({ file });
+  store.load();
+  store.markInvalid(a, 'Token invalid');
+
+  writeTokens('reload.txt', [a, c]);
+  const { total, added, removed } = store.load();
+  assert.strictEqual(total, 2);
+  assert.deepStrictEqual(added.map((entry) => entry.token), [c]);
+  assert.strictEqual(removed, 1);
+  assert.strictEqual(store.invalidReason(a), 'Token invalid');
+  assert.strictEqual(store.invalidReason(c), null);
+});
+
+test('keeps the current tokens when the file becomes empty or disappears', () => {
+  const token = createToken();
+  const file = writeTokens('empty.txt', [token]);
+  const store = createTokenStore({ file });
+  store.load();
+
+  fs.writeFileSync(file, '# nothing here\n');
+  assert.throws(() => store.load(), /No valid tokens/);
+  fs.rmSync(file);
+  assert.throws(() => store.load(), { code: 'ENOENT' });
+  assert.deepStrictEqual(store.tokens(), [token]);
+});
+
+test('warns once per lead time as a token approaches expiry', () => {
+  const token = createToken(48 * HOUR / 1000);
+  const store = createTokenStore({ file: writeTokens('warn.txt', [token]), warnings: [24, 72] });
+  store.load();
+  const expiresAt = store.list()[0].expiresAt.getTime();
+
+  // Inside the 72 h window only
+  assert.strictEqual(store.dueWarnings(expiresAt - 48 * HOUR).length, 1);
+  assert.strictEqual(store.dueWarnings(expiresAt - 30 * HOUR).length, 0);
+  // Crossing 24 h, then expiry
+  assert.strictEqual(store.dueWarnings(expiresAt - 23 * HOUR)[0].account, 1);
+  assert.strictEqual(store.dueWarnings(expiresAt - 1 * HOUR).length, 0);
+  assert.ok(store.dueWarnings(expiresAt + 1000)[0].remaining <= 0);
+  assert.strictEqual(store.dueWarnings(expiresAt + 2000).length, 0);
+});
+
+test('does not warn about refused tokens', () => {
+  const token = createToken(HOUR / 1000);
+  const store = createTokenStore({ file: writeTokens('refused.txt', [token]), warnings: [24] });
+  store.load();
+  store.markInvalid(token, 'Token invalid');
+  assert.deepStrictEqual(store.dueWarnings(), []);
+});
+
+test('formats durations coarsely', () => {
+  assert.strictEqual(formatDuration(3 * 24 * HOUR + 5 * HOUR + 59000), '3d 5h');
+  assert.strictEqual(formatDuration(2 * HOUR + 30 * 60000), '2h 30m');
+  assert.strictEqual(formatDuration(59000), '0m');
+  assert.strictEqual(formatDuration(-5000), '0m');
+});